@@ -1,7 +1,8 @@
 module.exports = {
   apps: [{
     name: 'fastmail-host',
-    script: './src/fastmail-host.js',
+    script: './src/cli.js',
+    args: 'serve',
     cwd: '/root/dev/apps/fastmail-proc',
     instances: 1,
     autorestart: true,
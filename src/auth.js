@@ -0,0 +1,143 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { randomBytes, scrypt, createHmac, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { rootDir } from './config.js';
+
+const PASSWORD_FILE = 'secrets/webPassword.json';
+const SESSION_COOKIE = 'linda_session';
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const LOGIN_FAIL_DELAY_MS = 1000;
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const scryptAsync = promisify(scrypt);
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+async function hashWithSalt(password, salt) {
+  const key = await scryptAsync(password, Buffer.from(salt, 'hex'), 64);
+  return key.toString('hex');
+}
+
+// Write secrets/webPassword.json with a scrypt hash of the password
+// A new session secret is generated too, so every existing session is logged out
+export async function setPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const record = {
+    salt,
+    hash: await hashWithSalt(password, salt),
+    sessionSecret: randomBytes(32).toString('hex')
+  };
+  const filepath = join(rootDir, PASSWORD_FILE);
+  await mkdir(dirname(filepath), { recursive: true });
+  await writeFile(filepath, JSON.stringify(record, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return cookies;
+}
+
+// Login, signed session cookies and CSRF checks for the web host
+// The session cookie is <base64url payload>.<hmac>, the payload holds the
+// expiry time and the session's CSRF token
+export async function createAuth() {
+  const filepath = join(rootDir, PASSWORD_FILE);
+  let record;
+  try {
+    record = JSON.parse(await readFile(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Can't read ${PASSWORD_FILE}, run "fastmail-proc set-password" first: ${error.message}`);
+  }
+
+  function sign(payload) {
+    return createHmac('sha256', record.sessionSecret).update(payload).digest('base64url');
+  }
+
+  function readSession(req) {
+    const cookie = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!cookie) return null;
+
+    const [payload, signature] = cookie.split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (session.expires < Date.now()) return null;
+    return session;
+  }
+
+  function setSessionCookie(req, res, session) {
+    const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+    res.cookie(SESSION_COOKIE, `${payload}.${sign(payload)}`, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: SESSION_MAX_AGE_MS,
+      encode: String
+    });
+  }
+
+  // POST /api/login with { password }
+  async function login(req, res) {
+    const { password } = req.body;
+    const hash = typeof password === 'string' ? await hashWithSalt(password, record.salt) : '';
+
+    if (!safeEqual(hash, record.hash)) {
+      console.log(`Failed login from ${req.ip}`);
+      await new Promise(resolve => setTimeout(resolve, LOGIN_FAIL_DELAY_MS));
+      return res.status(401).json({ error: 'Wrong password' });
+    }
+
+    setSessionCookie(req, res, {
+      expires: Date.now() + SESSION_MAX_AGE_MS,
+      csrfToken: randomBytes(32).toString('base64url')
+    });
+    res.json({ success: true });
+  }
+
+  // POST /api/logout
+  function logout(req, res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict', secure: req.secure });
+    res.json({ success: true });
+  }
+
+  // GET /api/session, gives the page its CSRF token
+  function sessionInfo(req, res) {
+    res.json({ csrfToken: req.session.csrfToken });
+  }
+
+  // Everything after this needs a session, pages redirect to the login page
+  function requireSession(req, res, next) {
+    const session = readSession(req);
+    if (!session) {
+      if (req.path.startsWith('/api/')) {
+        return res.status(401).json({ error: 'Not logged in' });
+      }
+      return res.redirect('/login.html');
+    }
+    req.session = session;
+    next();
+  }
+
+  // Requests that change anything must send the session's CSRF token in a header
+  function requireCsrf(req, res, next) {
+    if (SAFE_METHODS.includes(req.method)) return next();
+    const token = req.get(CSRF_HEADER) || '';
+    if (!safeEqual(token, req.session.csrfToken)) {
+      return res.status(403).json({ error: 'Invalid CSRF token' });
+    }
+    next();
+  }
+
+  return { login, logout, sessionInfo, requireSession, requireCsrf };
+}
@@ -0,0 +1,250 @@
+import { readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { userDataPath, ensureUserDataDir } from './config.js';
+import { RULE_MESSAGE_PROPERTIES, getTextString, toList } from './rules.js';
+import { loadSenders } from './senders.js';
+
+// Per-user file in data/<user>/
+const MODEL_FILE = 'classifier.json';
+
+// The class of messages in none of the classifier's labels
+const NONE_LABEL = '(none)';
+// Newest messages taken from each label folder, and from the scan folder for (none)
+const TRAINING_MESSAGES_PER_LABEL = 500;
+// Share of the messages kept out of training to measure accuracy
+const HELD_OUT_SHARE = 0.2;
+// Words seen in fewer messages than this are dropped from the model
+const MIN_TOKEN_MESSAGES = 2;
+// Only the start of a long body is tokenized
+const MAX_TEXT_CHARS = 5000;
+const WORD_REGEX = /[\p{L}\p{N}]{2,30}/gu;
+
+// A naive Bayes classifier, trained offline from the user's own mail:
+// - each label named in a classifier condition is a class, taught by the
+//   newest messages in its folder
+// - scan folder messages in none of those folders are the (none) class
+// - the senders lists correct that: messages of senders on the subjects or
+//   allowed list for a label are examples of it, those of excluded senders
+//   are (none)
+// Each message counts a word once. Classes have equal priors, since how many
+// examples a label has depends on TRAINING_MESSAGES_PER_LABEL more than on the mail.
+
+// Labels named in classifier conditions anywhere in a rule-list, as written
+export function classifierLabels(ruleList) {
+  const labels = new Map();
+  const visit = condition => {
+    if (typeof condition.classifier === 'string') {
+      labels.set(condition.classifier.toLowerCase(), condition.classifier);
+    }
+    for (const group of ['all', 'any', 'not']) {
+      toList(condition[group]).forEach(visit);
+    }
+  };
+  ruleList.forEach(visit);
+  return [...labels.values()];
+}
+
+// The words a message is classified by, with its sender domain and mailing list
+function messageTokens(message) {
+  const tokens = [];
+  const domain = getTextString(message, { 'from-domain': true });
+  if (domain) tokens.push(`from:${domain}`);
+  const listId = getTextString(message, { 'list-id': true });
+  if (listId) tokens.push(`list:${listId}`);
+  const text = getTextString(message, { 'from-name': true, subject: true, body: true }).slice(0, MAX_TEXT_CHARS);
+  tokens.push(...(text.match(WORD_REGEX) || []));
+  return [...new Set(tokens)];
+}
+
+// Build a model from [{ label, tokens }] examples, labels lowercased
+// { labels: { label: { name, messageCount, tokenCount, tokens: { token: count } } }, vocabularySize }
+function trainModel(examples, names) {
+  const tokenMessages = {};
+  for (const { tokens } of examples) {
+    for (const token of tokens) tokenMessages[token] = (tokenMessages[token] || 0) + 1;
+  }
+  const vocabulary = new Set(Object.keys(tokenMessages).filter(token => tokenMessages[token] >= MIN_TOKEN_MESSAGES));
+
+  const labels = {};
+  for (const [label, name] of Object.entries(names)) {
+    labels[label] = { name, messageCount: 0, tokenCount: 0, tokens: {} };
+  }
+  for (const { label, tokens } of examples) {
+    const stats = labels[label];
+    stats.messageCount++;
+    for (const token of tokens) {
+      if (!vocabulary.has(token)) continue;
+      stats.tokens[token] = (stats.tokens[token] || 0) + 1;
+      stats.tokenCount++;
+    }
+  }
+  return { labels, vocabularySize: vocabulary.size };
+}
+
+// Probability of each class for a set of tokens, keyed by lowercased label
+function classProbabilities(model, tokens) {
+  const known = tokens.filter(token => Object.values(model.labels).some(stats => stats.tokens[token]));
+  const logScores = Object.entries(model.labels).map(([label, stats]) => {
+    const denominator = stats.tokenCount + model.vocabularySize;
+    const score = known.reduce((sum, token) => sum + Math.log(((stats.tokens[token] || 0) + 1) / denominator), 0);
+    return [label, score];
+  });
+  const best = Math.max(...logScores.map(([, score]) => score));
+  const weights = logScores.map(([label, score]) => [label, Math.exp(score - best)]);
+  const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+  return Object.fromEntries(weights.map(([label, weight]) => [label, weight / total]));
+}
+
+// The most likely class of a message, with every class's probability
+// { label, confidence, probabilities: { lowercased label: probability } }
+export function classify(model, message) {
+  const probabilities = classProbabilities(model, messageTokens(message));
+  const [label, confidence] = Object.entries(probabilities).sort((a, b) => b[1] - a[1])[0];
+  return { label: model.labels[label].name, confidence, probabilities };
+}
+
+export async function loadModel(user) {
+  const filepath = userDataPath(user, MODEL_FILE);
+  if (!existsSync(filepath)) {
+    throw new Error(`No classifier model for ${user}, train one with the train-classifier command`);
+  }
+  return JSON.parse(await readFile(filepath, 'utf8'));
+}
+
+// Set message.classification on each message, for the classifier conditions
+// of ruleList. Does nothing when ruleList has none.
+export async function classifyMessages({ user, ruleList, messages }) {
+  if (classifierLabels(ruleList).length === 0) return;
+  const model = await loadModel(user);
+  for (const message of messages) {
+    message.classification = classify(model, message);
+  }
+}
+
+// Newest message ids in a folder
+async function newestIds(jmap, accountId, mailboxId, limit) {
+  const { ids } = await jmap.call('Email/query', {
+    accountId,
+    filter: { inMailbox: mailboxId },
+    sort: [{ property: 'receivedAt', isAscending: false }],
+    limit
+  });
+  return ids;
+}
+
+// The examples to train on, [{ id, label, tokens }] with lowercased labels
+async function collectExamples({ rules, jmap, labelNames }) {
+  const accountId = await jmap.getAccountId();
+  const { list: mailboxes } = await jmap.call('Mailbox/get', { accountId, properties: ['id', 'name'] });
+  const mailboxFor = name => {
+    const mailbox = mailboxes.find(mb => mb.name.toLowerCase() === name.toLowerCase());
+    if (!mailbox) throw new Error(`Folder not found: ${name}`);
+    return mailbox;
+  };
+  const labelMailboxes = Object.fromEntries(Object.keys(labelNames).map(label => [label, mailboxFor(labelNames[label])]));
+  const scanMailbox = mailboxFor(rules['scan-folder']);
+
+  // message id -> labels it's an example of
+  const assigned = new Map();
+  const assign = (id, label) => assigned.set(id, new Set([...(assigned.get(id) || []), label]));
+
+  for (const [label, mailbox] of Object.entries(labelMailboxes)) {
+    for (const id of await newestIds(jmap, accountId, mailbox.id, TRAINING_MESSAGES_PER_LABEL)) assign(id, label);
+  }
+  const scanIds = await newestIds(jmap, accountId, scanMailbox.id, TRAINING_MESSAGES_PER_LABEL);
+
+  // The decisions made in the web interface, by sender email
+  const { senders } = await loadSenders({ user: rules.user, jmap });
+  const decisions = Object.entries(senders)
+    .filter(([, sender]) => labelNames[sender.label.toLowerCase()])
+    .map(([email, sender]) => ({ email, label: sender.label.toLowerCase(), excluded: sender.list === 'exclusions', messageId: sender.messageId }));
+  const excludedLabels = new Map(decisions.filter(decision => decision.excluded).map(decision => [decision.email, decision.label]));
+
+  const ids = [...new Set([...assigned.keys(), ...scanIds, ...decisions.map(decision => decision.messageId)])];
+  const { list: messages } = await jmap.getAll('Email', {
+    accountId,
+    ids,
+    properties: RULE_MESSAGE_PROPERTIES,
+    fetchTextBodyValues: true
+  }, (fetchedCount, totalCount) => {
+    if (fetchedCount < totalCount) console.log(`  Fetched ${fetchedCount} of ${totalCount} messages...`);
+  });
+
+  for (const { messageId, label, excluded } of decisions) {
+    if (!excluded) assign(messageId, label);
+  }
+  const labelMailboxIds = Object.values(labelMailboxes).map(mailbox => mailbox.id);
+
+  const examples = [];
+  for (const message of messages) {
+    const email = message.from?.[0]?.email?.toLowerCase();
+    const excludedLabel = excludedLabels.get(email);
+    const labels = [...(assigned.get(message.id) || [])].filter(label => label !== excludedLabel);
+    const inNoLabel = scanIds.includes(message.id) && !labelMailboxIds.some(id => message.mailboxIds?.[id]);
+    if (labels.length === 0 && (inNoLabel || excludedLabel)) labels.push(NONE_LABEL);
+    if (labels.length === 0) continue;
+
+    const tokens = messageTokens(message);
+    for (const label of labels) examples.push({ id: message.id, label, tokens });
+  }
+  return examples;
+}
+
+// Whether a message is held out of training, the same messages every time
+const isHeldOut = id => createHash('sha1').update(id).digest()[0] < 256 * HELD_OUT_SHARE;
+
+// Train the user's classifier on their mail, report its accuracy on the held
+// out messages and save a model trained on all of them
+export async function trainClassifier({ rules, jmap }) {
+  const user = rules.user;
+  const labels = classifierLabels(rules['rule-list']);
+  if (labels.length === 0) {
+    throw new Error(`No rule for ${user} has a classifier condition, there's nothing to train`);
+  }
+  const labelNames = Object.fromEntries(labels.map(label => [label.toLowerCase(), label]));
+  const names = { ...labelNames, [NONE_LABEL]: NONE_LABEL };
+
+  console.log('');
+  console.log(`Training the classifier for ${user} on ${labels.join(', ')} ...`);
+  const examples = await collectExamples({ rules, jmap, labelNames });
+
+  const training = examples.filter(example => !isHeldOut(example.id));
+  const heldOut = examples.filter(example => isHeldOut(example.id));
+  const heldOutModel = trainModel(training, names);
+
+  // Per class: held out examples, how many were predicted as it and how many of those were right
+  const counts = Object.fromEntries(Object.keys(names).map(label => [label, { training: 0, heldOut: 0, predicted: 0, correct: 0 }]));
+  for (const example of training) counts[example.label].training++;
+  for (const example of heldOut) {
+    const probabilities = classProbabilities(heldOutModel, example.tokens);
+    const predicted = Object.entries(probabilities).sort((a, b) => b[1] - a[1])[0][0];
+    counts[example.label].heldOut++;
+    counts[predicted].predicted++;
+    if (predicted === example.label) counts[predicted].correct++;
+  }
+  const correctCount = Object.values(counts).reduce((sum, count) => sum + count.correct, 0);
+  const accuracy = heldOut.length > 0 ? correctCount / heldOut.length : null;
+
+  const percent = (part, whole) => whole > 0 ? `${(100 * part / whole).toFixed(1)}%` : '-';
+  console.log(`  ${examples.length} examples, ${heldOut.length} held out`);
+  console.log('  Label              Training  Held out  Precision  Recall');
+  for (const [label, count] of Object.entries(counts)) {
+    console.log(`  ${names[label].padEnd(18)} ${String(count.training).padStart(8)}  ${String(count.heldOut).padStart(8)}  ` +
+      `${percent(count.correct, count.predicted).padStart(9)}  ${percent(count.correct, count.heldOut).padStart(6)}`);
+  }
+  console.log(`  Accuracy on held out messages: ${percent(correctCount, heldOut.length)}`);
+
+  const model = {
+    trainedAt: new Date().toISOString(),
+    exampleCount: examples.length,
+    heldOutCount: heldOut.length,
+    accuracy,
+    ...trainModel(examples, names)
+  };
+  ensureUserDataDir(user);
+  await writeFile(userDataPath(user, MODEL_FILE), JSON.stringify(model) + '\n', 'utf8');
+  console.log(`  Saved the model to data/${user}/${MODEL_FILE}`);
+  console.log('');
+  return { accuracy, counts };
+}
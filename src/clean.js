@@ -0,0 +1,102 @@
+import { describeSetError } from './jmap.js';
+import { newRunId, appendJournal } from './journal.js';
+
+// Take every message out of the given label folders
+// Messages that would be left in no folder are skipped
+export async function cleanLabels({ rules, jmap, labels }) {
+  console.log(`Cleaning up folders for ${rules.user}: ${labels.join(', ')}...`);
+  const runId = newRunId();
+  
+  const accountId = await jmap.getAccountId();
+
+  const { list: mailboxes } = await jmap.call('Mailbox/get', { accountId });
+  const mailboxMap = {};
+  mailboxes.forEach(mb => mailboxMap[mb.name] = mb.id);
+
+  const foldersToClean = [];
+  for (const folderName of labels) {
+    const folderId = mailboxMap[folderName];
+    if (folderId) {
+      foldersToClean.push({ name: folderName, id: folderId });
+    }
+  }
+
+  if (foldersToClean.length === 0) {
+    console.log('No folders to clean');
+    return;
+  }
+
+  for (const folder of foldersToClean) {
+    const { ids: emailIds } = await jmap.call('Email/query', {
+      accountId,
+      filter: { inMailbox: folder.id },
+      sort: [{ property: 'receivedAt', isAscending: false }]
+    });
+    
+    if (emailIds.length === 0) {
+      console.log(`${folder.name}: no messages`);
+      continue;
+    }
+
+    console.log(`${folder.name}: ${emailIds.length} messages`);
+
+    const { list: messages } = await jmap.getAll('Email', {
+      accountId,
+      ids: emailIds,
+      properties: ['id', 'subject', 'from', 'mailboxIds', 'keywords']
+    });
+    const updates = {};
+    
+    // Collect all folder IDs to remove
+    const folderIdsToRemove = foldersToClean.map(f => f.id);
+
+    for (const message of messages) {
+      const newMailboxIds = { ...message.mailboxIds };
+      const newKeywords = { ...message.keywords };
+      
+      // Remove all folder IDs
+      for (const folderId of folderIdsToRemove) {
+        delete newMailboxIds[folderId];
+      }
+      
+      // Remove all folder name keywords (case variations)
+      for (const folderName of labels) {
+        delete newKeywords[folderName];
+        delete newKeywords[folderName.toLowerCase()];
+      }
+
+      if (Object.keys(newMailboxIds).length > 0) {
+        updates[message.id] = {
+          mailboxIds: newMailboxIds,
+          keywords: newKeywords
+        };
+      } else {
+        console.log(`  Skipping ${message.subject} - would have no folders left`);
+      }
+    }
+
+    if (Object.keys(updates).length > 0) {
+      const { updated, notUpdated } = await jmap.setAll('Email', accountId, updates);
+      console.log(`  Updated ${Object.keys(updated).length} messages`);
+      for (const [id, error] of Object.entries(notUpdated)) {
+        console.log(`  Not updated ${id}: ${describeSetError(error)}`);
+      }
+      
+      // Journal the changes so the clean can be undone
+      await appendJournal(rules.user, messages.filter(message => message.id in updated).map(message => ({
+        runId,
+        kind: 'clean',
+        time: new Date().toISOString(),
+        messageId: message.id,
+        from: message.from?.[0]?.name || message.from?.[0]?.email || 'Unknown',
+        subject: message.subject || '',
+        rules: [],
+        before: { mailboxIds: message.mailboxIds, keywords: message.keywords || {} },
+        after: updates[message.id]
+      })));
+    }
+  }
+
+  console.log(`Journaled as run ${runId}`);
+  console.log('');
+}
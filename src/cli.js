@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { createWriteStream } from 'fs';
+import { createInterface } from 'readline/promises';
+import { join } from 'path';
+import { rootDir, loadRules, configuredUsers, userRules, createUserClient } from './config.js';
+import { processMessages, applyPlan, undo } from './fastmailProc.js';
+import { cleanLabels } from './clean.js';
+import { showStats, showRuleReport } from './stats.js';
+import { RULE_MESSAGE_PROPERTIES, getTextString, testCondition, ruleActions } from './rules.js';
+import { startHost } from './fastmail-host.js';
+import { setPassword } from './auth.js';
+import { classifyMessages, trainClassifier } from './classifier.js';
+import { applyRetention } from './retention.js';
+
+const LOG_FILE = 'jmap-proc.log';
+
+const EXIT_OK    = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: fastmail-proc <command> [options]
+
+Commands:
+  process [--full] [--dry-run]    Apply the rules to the scan folder of every user
+  apply-plan [--retention]        Apply the reviewed dry-run plan, or retention plan
+  undo <runId> [--message <id>]   Revert a journaled run, or one message of it
+  clean --labels <a,b,...>        Take every message out of the label folders
+  retention [--dry-run]           Apply the retention policies to old labeled mail
+  stats                           Show folder, subject and run counts
+  test-rule <n> --message <id>    Test rule n from rules.jsonc against a message
+  rule-report                     Show rule hit counts and dead or overlapping rules
+  train-classifier                Retrain the classifier and report its accuracy
+  serve                           Start the Linda Mail web host
+  set-password                    Set the web host login password
+
+Options:
+  --user <name>   Only this user from rules.jsonc (default: user in rules.jsonc,
+                  or every configured user for process)
+  --help          Show this help
+`;
+
+const OPTIONS = {
+  'user':    { type: 'string' },
+  'full':    { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  'message': { type: 'string' },
+  'labels':  { type: 'string' },
+  'retention': { type: 'boolean', default: false },
+  'help':    { type: 'boolean', short: 'h', default: false }
+};
+
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+// Copy stdout and stderr to the log file for commands that change the mailbox
+function logToFile() {
+  const logStream = createWriteStream(join(rootDir, LOG_FILE), { flags: 'a' });
+  const originalStdoutWrite = process.stdout.write.bind(process.stdout);
+  const originalStderrWrite = process.stderr.write.bind(process.stderr);
+
+  process.stdout.write = (chunk, encoding, callback) => {
+    logStream.write(chunk, encoding);
+    return originalStdoutWrite(chunk, encoding, callback);
+  };
+
+  process.stderr.write = (chunk, encoding, callback) => {
+    logStream.write(chunk, encoding);
+    return originalStderrWrite(chunk, encoding, callback);
+  };
+}
+
+async function testRuleCommand({ rules, jmap, args, values }) {
+  const ruleList = rules['rule-list'];
+  const ruleNumber = Number(args[0]);
+  const rule = ruleList[ruleNumber - 1];
+  if (!Number.isInteger(ruleNumber) || !rule) {
+    throw usageError(`test-rule needs a rule number from 1 to ${ruleList.length}`);
+  }
+  if (!values.message) {
+    throw usageError('test-rule needs --message <id>');
+  }
+
+  const accountId = await jmap.getAccountId();
+  const { list: [message] } = await jmap.call('Email/get', {
+    accountId,
+    ids: [values.message],
+    properties: RULE_MESSAGE_PROPERTIES,
+    fetchTextBodyValues: true
+  });
+  if (!message) {
+    throw new Error(`Message not found: ${values.message}`);
+  }
+  await classifyMessages({ user: rules.user, ruleList: [rule], messages: [message] });
+
+  const matched = testCondition(message, rule);
+
+  console.log('');
+  console.log(`Message: ${message.from?.[0]?.email || ''} | ${message.subject || ''}`);
+  console.log(`Rule ${ruleNumber}: ${JSON.stringify(rule)}`);
+  console.log(`Text:    ${JSON.stringify(getTextString(message, rule))}`);
+  console.log(`Result:  ${matched ? 'matched' : 'not matched'}`);
+  if (matched) {
+    console.log(`Actions: ${ruleActions(rule).join(', ') || 'none'}`);
+  }
+  console.log('');
+}
+
+// Ask twice for the web host password and save its hash
+async function setPasswordCommand() {
+  const prompt = createInterface({ input: process.stdin });
+  // Read lines through the iterator so piped input isn't lost between prompts
+  const lines = prompt[Symbol.asyncIterator]();
+  const ask = async question => {
+    process.stdout.write(question);
+    const { value } = await lines.next();
+    return value || '';
+  };
+  try {
+    const password = await ask('New web password: ');
+    const repeated = await ask('Repeat password: ');
+    if (!password) throw usageError('The password can\'t be empty');
+    if (password !== repeated) throw usageError('The passwords don\'t match');
+    await setPassword(password);
+    console.log('Password saved, existing web sessions are logged out');
+  } finally {
+    prompt.close();
+  }
+}
+
+const COMMANDS = {
+  'process': {
+    logged: true,
+    allUsers: true,
+    run: ({ rules, jmap, values }) => processMessages({ rules, jmap, fullScan: values.full, dryRun: values['dry-run'] })
+  },
+  'apply-plan': {
+    logged: true,
+    run: ({ rules, jmap, values }) => applyPlan({ rules, jmap, kind: values.retention ? 'retention' : 'process' })
+  },
+  'undo': {
+    logged: true,
+    run: ({ rules, jmap, args, values }) => {
+      if (!args[0]) throw usageError('undo needs a run id');
+      return undo({ rules, jmap, runId: args[0], messageId: values.message || null });
+    }
+  },
+  'retention': {
+    logged: true,
+    allUsers: true,
+    run: ({ rules, jmap, values }) => applyRetention({ rules, jmap, dryRun: values['dry-run'] })
+  },
+  'clean': {
+    logged: true,
+    run: ({ rules, jmap, values }) => {
+      const labels = (values.labels || '').split(',').map(label => label.trim()).filter(Boolean);
+      if (labels.length === 0) throw usageError('clean needs --labels <a,b,...>');
+      return cleanLabels({ rules, jmap, labels });
+    }
+  },
+  'stats': {
+    run: ({ rules, jmap }) => showStats({ rules, jmap })
+  },
+  'test-rule': {
+    run: testRuleCommand
+  },
+  'rule-report': {
+    run: ({ rules }) => showRuleReport({ rules })
+  },
+  'train-classifier': {
+    run: ({ rules, jmap }) => trainClassifier({ rules, jmap })
+  },
+  'serve': {
+    global: true,
+    run: ({ config }) => startHost({ config })
+  },
+  'set-password': {
+    global: true,
+    run: setPasswordCommand
+  }
+};
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const { values, positionals: [commandName, ...args] } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    throw usageError(commandName ? `Unknown command: ${commandName}` : 'Missing command');
+  }
+
+  if (command.logged) logToFile();
+
+  const config = loadRules();
+
+  // Commands that aren't for one user, the host serves every configured user itself
+  if (command.global) {
+    await command.run({ config, args, values });
+    return;
+  }
+
+  let users = [values.user || config.user];
+  if (command.allUsers && !values.user) {
+    users = configuredUsers(config);
+  }
+  if (!users[0]) {
+    throw usageError(`${commandName} needs --user <name>`);
+  }
+
+  // Each user is processed on its own so one failing account doesn't stop the rest
+  const failedUsers = [];
+  for (const user of users) {
+    try {
+      const rules = userRules(config, user);
+      const jmap = createUserClient(user);
+      await command.run({ config, rules, jmap, args, values });
+    } catch (error) {
+      if (error.usage || users.length === 1) throw error;
+      console.error(`Error for ${user}:`, error.message);
+      failedUsers.push(user);
+    }
+  }
+
+  if (failedUsers.length > 0) {
+    throw new Error(`Failed for users: ${failedUsers.join(', ')}`);
+  }
+}
+
+main().then(() => {
+  process.exitCode = EXIT_OK;
+}).catch(error => {
+  if (error.usage) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = EXIT_USAGE;
+  } else {
+    console.error('Error:', error.message);
+    process.exitCode = EXIT_ERROR;
+  }
+});
@@ -0,0 +1,59 @@
+import { readFileSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createJmapClient } from './jmap.js';
+import { parseJsonc } from './jsonc.js';
+import { checkRules, formatIssue } from './rulesSchema.js';
+
+const RULES_FILE = 'rules.jsonc';
+const TOKENS_FILE = 'secrets/jmapTokens.json';
+const DATA_DIR = 'data';
+
+export const rootDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+export const rulesFilePath = join(rootDir, RULES_FILE);
+
+// Parse rules.jsonc text, failing on any schema error with its line number
+export function parseRules(content) {
+  const errors = checkRules(content).filter(issue => issue.level === 'error');
+  if (errors.length > 0) {
+    throw new Error(`${RULES_FILE} has errors:\n  ${errors.map(formatIssue).join('\n  ')}`);
+  }
+  return parseJsonc(content).value;
+}
+
+export function loadRules() {
+  return parseRules(readFileSync(rulesFilePath, 'utf8'));
+}
+
+// Users with rule sets, from the users section or the single top-level user
+export function configuredUsers(config) {
+  return config.users ? Object.keys(config.users) : [config.user];
+}
+
+// Rules for one user: top-level settings overridden by the user's entry in users
+export function userRules(config, user) {
+  if (config.users && !config.users[user]) {
+    throw new Error(`User ${user} is not in the users section of ${RULES_FILE}`);
+  }
+  const { users, ...defaults } = config;
+  return { ...defaults, ...users?.[user], user };
+}
+
+// Path of a per-user data file, e.g. data/linda/subjects.txt
+export function userDataPath(user, filename) {
+  return join(rootDir, DATA_DIR, user, filename);
+}
+
+export function ensureUserDataDir(user) {
+  mkdirSync(join(rootDir, DATA_DIR, user), { recursive: true });
+}
+
+// JMAP client for a user's token in secrets/jmapTokens.json
+export function createUserClient(user) {
+  const jmapTokens = JSON.parse(readFileSync(join(rootDir, TOKENS_FILE), 'utf8'));
+  const apiToken = jmapTokens[user];
+  if (!apiToken) {
+    throw new Error(`No API token found for user: ${user}`);
+  }
+  return createJmapClient(apiToken);
+}
@@ -0,0 +1,86 @@
+import { open, writeFile, readFile, rename, unlink, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { userDataPath } from './config.js';
+
+// Lock files around a read-modify-write of a data file
+const FILE_LOCK_RETRY_MS = 100;
+const FILE_LOCK_WAIT_MS  = 10000;
+const FILE_LOCK_STALE_MS = 30000;   // left behind by a process that died
+const FILE_LOCK_REFRESH_MS = 10000;  // the holder touches the lock, so a long hold isn't stale
+
+// The web editor's lock on a user's senders, in data/<user>/
+const EDIT_LOCK_FILE = 'edit.lock';
+const EDIT_LOCK_TIMEOUT_MS = 300000; // 5 minutes
+
+// Replace a file in one step, so readers never see it half written
+// Each write has its own temp file, writes that aren't under a lock can overlap
+export async function writeFileAtomic(filepath, content) {
+  const tempPath = `${filepath}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+  await writeFile(tempPath, content, 'utf8');
+  await rename(tempPath, filepath);
+}
+
+// Run fn while holding <filepath>.lock, so the host and CLI commands don't
+// interleave their read-modify-writes of the file. The lock's mtime is
+// refreshed while fn runs, fn can make slow JMAP calls.
+export async function withFileLock(filepath, fn) {
+  const lockPath = `${filepath}.lock`;
+  const deadline = Date.now() + FILE_LOCK_WAIT_MS;
+  let handle;
+
+  while (!handle) {
+    try {
+      handle = await open(lockPath, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const lockStat = await stat(lockPath).catch(() => null);
+      if (lockStat && Date.now() - lockStat.mtimeMs > FILE_LOCK_STALE_MS) {
+        console.log(`Removing stale lock ${lockPath}`);
+        await unlink(lockPath).catch(() => {});
+      } else if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${lockPath}`);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, FILE_LOCK_RETRY_MS));
+      }
+    }
+  }
+
+  const refresh = setInterval(() => {
+    const now = new Date();
+    handle.utimes(now, now).catch(error => console.error(`Refreshing ${lockPath} failed:`, error.message));
+  }, FILE_LOCK_REFRESH_MS);
+  try {
+    return await fn();
+  } finally {
+    clearInterval(refresh);
+    await handle.close();
+    await unlink(lockPath);
+  }
+}
+
+// Take or renew the web editor's lock, the processor won't run for the user until
+// it's released or expires
+export async function takeEditLock(user) {
+  await writeFileAtomic(userDataPath(user, EDIT_LOCK_FILE), JSON.stringify({ lockedAt: new Date().toISOString() }) + '\n');
+}
+
+export async function releaseEditLock(user) {
+  await unlink(userDataPath(user, EDIT_LOCK_FILE)).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+}
+
+// When the web editor took its lock, or null when it has none
+// An expired lock is removed
+export async function editLockedSince(user) {
+  const lockPath = userDataPath(user, EDIT_LOCK_FILE);
+  if (!existsSync(lockPath)) return null;
+  const { lockedAt } = JSON.parse(await readFile(lockPath, 'utf8'));
+  if (Date.now() - Date.parse(lockedAt) > EDIT_LOCK_TIMEOUT_MS) {
+    console.log(`Lock timeout expired for ${user}, releasing lock`);
+    await releaseEditLock(user);
+    return null;
+  }
+  return lockedAt;
+}
@@ -1,196 +1,601 @@
 import express from 'express';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import fetch from 'node-fetch';
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { pipeline } from 'stream/promises';
+import { rootDir, loadRules, configuredUsers, userRules, userDataPath, createUserClient } from './config.js';
+import { listRuns, undoRun } from './journal.js';
+import { createScheduler } from './scheduler.js';
+import { PLAN_FILES } from './fastmailProc.js';
+import { createAuth } from './auth.js';
+import { getMessageView } from './message.js';
+import { loadUnsubscribes, unsubscribeSenders } from './unsubscribe.js';
+import { senderRuleError, buildSenderRule, proposeSenderRules, previewRule } from './ruleBuilder.js';
+import { appendRule, readRulesText, saveRulesText } from './rulesFile.js';
+import { parseJsonc } from './jsonc.js';
+import { checkRules, checkDraftRule } from './rulesSchema.js';
+import { RULE_MESSAGE_PROPERTIES, explainRules, ruleActions } from './rules.js';
+import { buildRuleReport, ruleReportFindings } from './ruleStats.js';
+import { SENDER_LISTS, loadSenders, updateSenders, moveSenders, listSenders } from './senders.js';
+import { takeEditLock, releaseEditLock, editLockedSince } from './dataFiles.js';
+import { createLiveEvents } from './liveEvents.js';
+import { classifyMessages } from './classifier.js';
 
 const PORT = 3456;
-const JMAP_API_URL = "https://api.fastmail.com/jmap/api/";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const rootDir = join(__dirname, '..');
-
-// Track if files are currently being edited by client
-let clientHasLock = false;
-let lockTimestamp = null;
-const LOCK_TIMEOUT_MS = 300000; // 5 minutes
-
-// Load tokens and rules
-const jmapTokens = JSON.parse(readFileSync(join(rootDir, 'secrets/jmapTokens.json'), 'utf8'));
-const rules = JSON.parse(readFileSync(join(rootDir, 'rules.jsonc'), 'utf8').replace(/\/\/.*$/gm, '').replace(/,(\s*[}\]])/g, '$1'));
-
-const FASTMAIL_USER = rules.user;
-const apiToken = jmapTokens[FASTMAIL_USER];
-if (!apiToken) {
-  console.error(`No API token found for user: ${FASTMAIL_USER}`);
-  process.exit(1);
-}
+// Draft rules on the test bench are tried on this many of the newest messages
+const BENCH_DEFAULT_COUNT = 100;
+const BENCH_MAX_COUNT = 1000;
+
+// rules.jsonc contents, set by startHost and reloaded when a rule is added
+let config = null;
+// user -> JMAP client, created on first use
+const jmapClients = {};
+// Runs the processor on a schedule, set by startHost
+let scheduler = null;
+// Login, session and CSRF middleware, set by startHost
+let auth = null;
+// Server-sent events to the browsers, set by startHost
+let liveEvents = null;
 
 const app = express();
+// nginx on the same machine terminates https, so secure cookies work through it
+app.set('trust proxy', 'loopback');
 app.use(express.json({ limit: '10mb' }));
 
-// Function to check and clear expired locks
-function checkLockTimeout() {
-  if (clientHasLock && lockTimestamp && (Date.now() - lockTimestamp > LOCK_TIMEOUT_MS)) {
-    console.log('Lock timeout expired, releasing lock');
-    clientHasLock = false;
-    lockTimestamp = null;
+// The login page and login route are the only things served without a session
+app.get('/login.html', (req, res) => {
+  res.sendFile(join(rootDir, 'public', 'login.html'));
+});
+app.post('/api/login', (req, res) => auth.login(req, res));
+
+app.use((req, res, next) => auth.requireSession(req, res, next));
+app.use((req, res, next) => auth.requireCsrf(req, res, next));
+
+// API endpoint to get the session's CSRF token, sent back in X-CSRF-Token on POSTs
+app.get('/api/session', (req, res) => auth.sessionInfo(req, res));
+
+app.post('/api/logout', (req, res) => auth.logout(req, res));
+
+// Whether the web editor has the lock on a user's senders, see dataFiles.js
+async function clientHasLock(user) {
+  return Boolean(await editLockedSince(user));
+}
+
+function clientFor(user) {
+  if (!jmapClients[user]) {
+    jmapClients[user] = createUserClient(user);
   }
+  return jmapClients[user];
 }
 
-// JMAP request helper
-async function jmapRequest(methodCalls) {
-  const response = await fetch(JMAP_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiToken}`
-    },
-    body: JSON.stringify({
-      using: ['urn:ietf:params:jmap:core', 'urn:ietf:params:jmap:mail'],
-      methodCalls
-    })
-  });
+// Every /api/users/:user route is scoped to a configured user
+app.param('user', (req, res, next, user) => {
+  if (!configuredUsers(config).includes(user)) {
+    return res.status(404).json({ error: `Unknown user: ${user}` });
+  }
+  req.fastmailUser = user;
+  req.jmap = clientFor(user);
+  next();
+});
+
+// API endpoint to list the users the web interface can switch between
+app.get('/api/users', (req, res) => {
+  const users = configuredUsers(config);
+  res.json({ users, defaultUser: config.user || users[0] });
+});
 
-  if (!response.ok) {
-    throw new Error(`JMAP request failed: ${response.status} ${response.statusText}`);
+// API endpoint to get the senders on the subjects, exclusions and allowed lists
+// The ETag is the version of senders.json, moves send it back in If-Match
+app.get('/api/users/:user/senders', async (req, res) => {
+  try {
+    const { senders, version } = await loadSenders({ user: req.fastmailUser, jmap: req.jmap });
+    res.set('ETag', `"${version}"`);
+    res.json({
+      ...Object.fromEntries(SENDER_LISTS.map(list => [list, listSenders(senders, list)])),
+      version,
+      locked: await clientHasLock(req.fastmailUser)
+    });
+  } catch (error) {
+    console.error('Error reading senders:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  return await response.json();
-}
+// API endpoint streaming server-sent events for the user, see liveEvents.js
+// The stream stays open until the browser closes it
+app.get('/api/users/:user/events', async (req, res) => {
+  try {
+    await liveEvents.addClient(req.fastmailUser, req, res);
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    res.end();
+  }
+});
 
-// API endpoint to get subjects or exclusions
-app.get('/api/data', (req, res) => {
+// API endpoint to move senders to another list
+// Body: { emails: [sender email], list: 'subjects' | 'exclusions' | 'allowed' }
+// If-Match must hold the version the lists were loaded at, a run or another
+// browser changing them since gets a 409 with the current version
+app.post('/api/users/:user/senders/move', async (req, res) => {
   try {
-    checkLockTimeout();
+    const user = req.fastmailUser;
+    const { emails, list } = req.body;
+    const version = req.get('If-Match')?.replace(/"/g, '');
+    if (!SENDER_LISTS.includes(list)) {
+      return res.status(400).json({ error: 'Invalid list parameter' });
+    }
+    if (!Array.isArray(emails) || !emails.every(email => typeof email === 'string')) {
+      return res.status(400).json({ error: 'Missing emails' });
+    }
+    if (!version) {
+      return res.status(428).json({ error: 'Missing If-Match version' });
+    }
+
+    const { result: movedCount, version: newVersion } = await updateSenders(
+      { user, jmap: req.jmap, version },
+      senders => moveSenders(senders, emails, list)
+    );
+    console.log(`Moved ${movedCount} ${user} sender(s) to ${list}`);
     
-    const type = req.query.type; // 'subjects' or 'exclusions'
-    if (!type || !['subjects', 'exclusions'].includes(type)) {
-      return res.status(400).json({ error: 'Invalid type parameter' });
+    res.set('ETag', `"${newVersion}"`);
+    res.json({ success: true, movedCount, version: newVersion, locked: await clientHasLock(user) });
+  } catch (error) {
+    if (error.conflict) {
+      return res.status(409).json({ error: error.message, version: error.version });
     }
+    console.error('Error moving senders:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to take or renew the editor's lock, the browser holds it while
+// senders are checked and not yet moved
+app.post('/api/users/:user/lock', async (req, res) => {
+  try {
+    await takeEditLock(req.fastmailUser);
+    res.json({ success: true, locked: true });
+  } catch (error) {
+    console.error('Error taking lock:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to release lock
+app.post('/api/users/:user/release-lock', async (req, res) => {
+  try {
+    await releaseEditLock(req.fastmailUser);
+    console.log(`Client released lock for ${req.fastmailUser}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error releasing lock:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to check lock status
+app.get('/api/users/:user/lock-status', async (req, res) => {
+  try {
+    res.json({ locked: await clientHasLock(req.fastmailUser) });
+  } catch (error) {
+    console.error('Error checking lock:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const filename = `${type}.txt`;
-    const filepath = join(rootDir, filename);
+// API endpoint to get the latest dry-run plan for review
+// ?kind=retention gets the retention pass's plan instead of the processor's
+app.get('/api/users/:user/plan', (req, res) => {
+  try {
+    const kind = req.query.kind || 'process';
+    if (!PLAN_FILES[kind]) {
+      return res.status(400).json({ error: 'Invalid plan kind' });
+    }
+    const filepath = userDataPath(req.fastmailUser, PLAN_FILES[kind]);
     
     if (!existsSync(filepath)) {
-      return res.json({ content: '', locked: clientHasLock });
+      return res.status(404).json({ error: `No plan found, run ${kind === 'process' ? 'the processor' : 'retention'} with --dry-run` });
     }
 
-    const content = readFileSync(filepath, 'utf8');
-    res.json({ content, locked: clientHasLock });
+    res.json(JSON.parse(readFileSync(filepath, 'utf8')));
   } catch (error) {
-    console.error('Error reading data:', error);
+    console.error('Error reading plan:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// API endpoint to save subjects or exclusions
-app.post('/api/data', (req, res) => {
+// API endpoint to list recent processor runs from the change journal
+app.get('/api/users/:user/runs', async (req, res) => {
   try {
-    checkLockTimeout();
+    res.json({ runs: await listRuns(req.fastmailUser) });
+  } catch (error) {
+    console.error('Error reading journal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to undo a run, or one message of it when messageId is given
+app.post('/api/users/:user/runs/:runId/undo', async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const { messageId } = req.body;
     
-    const { type, content } = req.body;
-    if (!type || !['subjects', 'exclusions'].includes(type)) {
-      return res.status(400).json({ error: 'Invalid type parameter' });
+    const result = await undoRun(req.jmap, req.fastmailUser, runId, messageId || null);
+    console.log(`Undid ${req.fastmailUser} run ${runId}: ${result.undone.length} reverted, ${result.skipped.length} skipped`);
+    res.json(result);
+  } catch (error) {
+    console.error('Error undoing run:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to get the processor schedule and last run summary
+app.get('/api/users/:user/status', async (req, res) => {
+  try {
+    const status = scheduler.getStatus(req.fastmailUser);
+    if (!status) {
+      return res.status(404).json({ error: `User ${req.fastmailUser} isn't scheduled` });
     }
+    res.json({ ...status, locked: await clientHasLock(req.fastmailUser) });
+  } catch (error) {
+    console.error('Error reading status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (content === undefined) {
-      return res.status(400).json({ error: 'Missing content' });
+// API endpoint to run the processor now, the run continues after the response
+app.post('/api/users/:user/run', async (req, res) => {
+  try {
+    const user = req.fastmailUser;
+    const status = scheduler.getStatus(user);
+    if (!status) {
+      return res.status(404).json({ error: `User ${user} isn't scheduled` });
+    }
+    if (status.running) {
+      return res.status(409).json({ error: 'Processor is already running' });
     }
+    if (await clientHasLock(user)) {
+      return res.status(409).json({ error: 'Web editor has the lock, try again when it is released' });
+    }
+    scheduler.runNow(user);
+    res.json({ started: true });
+  } catch (error) {
+    console.error('Error starting run:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to get a message for the viewer, with sanitized HTML
+// Remote images are blocked unless images=1
+app.get('/api/users/:user/message/:messageId', async (req, res) => {
+  try {
+    const message = await getMessageView({
+      jmap: req.jmap,
+      user: req.fastmailUser,
+      messageId: req.params.messageId,
+      loadImages: req.query.images === '1'
+    });
+    
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json(message);
+  } catch (error) {
+    console.error('Error fetching message:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to stream the original RFC 5322 source of a message as plain text
+app.get('/api/users/:user/message/:messageId/raw', async (req, res) => {
+  try {
+    const accountId = await req.jmap.getAccountId();
+    const { list: [message] } = await req.jmap.call('Email/get', {
+      accountId,
+      ids: [req.params.messageId],
+      properties: ['blobId']
+    });
+    
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const response = await req.jmap.download(message.blobId, { type: 'message/rfc822', name: 'message.eml' });
+    res.set({
+      'Content-Type': 'text/plain; charset=utf-8',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': 'sandbox'
+    });
+    await pipeline(response.body, res);
+  } catch (error) {
+    console.error('Error fetching raw message:', error);
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  }
+});
 
-    const filename = `${type}.txt`;
-    const filepath = join(rootDir, filename);
+// API endpoint to download an attachment or inline image through the host
+// Always sent as an attachment so mail content never runs as a page of this site
+app.get('/api/users/:user/blob/:blobId', async (req, res) => {
+  try {
+    const name = req.query.name || 'attachment';
+    const type = req.query.type || 'application/octet-stream';
     
-    writeFileSync(filepath, content, 'utf8');
-    console.log(`Saved ${filename} (${content.length} bytes)`);
+    const response = await req.jmap.download(req.params.blobId, { type, name });
+    res.set({
+      'Content-Type': type,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': 'sandbox'
+    });
+    res.attachment(name);
+    await pipeline(response.body, res);
+  } catch (error) {
+    console.error('Error downloading blob:', error);
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to get the recorded unsubscribe outcome of each sender
+app.get('/api/users/:user/unsubscribes', async (req, res) => {
+  try {
+    res.json({ unsubscribes: await loadUnsubscribes(req.fastmailUser) });
+  } catch (error) {
+    console.error('Error reading unsubscribes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to unsubscribe from the senders of messages
+// Body: { items: [{ messageId, label }] }
+app.post('/api/users/:user/unsubscribe', async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items) || items.length === 0 || !items.every(item => item.messageId)) {
+      return res.status(400).json({ error: 'Missing items' });
+    }
+
+    const results = await unsubscribeSenders({ jmap: req.jmap, user: req.fastmailUser, items });
+    res.json({ results });
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Labels the user's rules add, for the rule form
+function ruleLabels(user) {
+  const rules = userRules(config, user);
+  const labels = new Set(rules.Folders || []);
+  for (const rule of rules['rule-list']) {
+    if (rule['add-label']) labels.add(rule['add-label']);
+  }
+  return Array.from(labels).sort();
+}
+
+// API endpoint to propose rules from a message's sender: from address, domain or List-Id
+app.get('/api/users/:user/message/:messageId/rule-proposals', async (req, res) => {
+  try {
+    const result = await proposeSenderRules({ jmap: req.jmap, messageId: req.params.messageId });
     
-    // Acquire lock when client saves - they have active data
-    clientHasLock = true;
-    lockTimestamp = Date.now();
+    if (!result) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json({ ...result, labels: ruleLabels(req.fastmailUser) });
+  } catch (error) {
+    console.error('Error proposing rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to count the recent scan folder messages a proposed rule matches
+// Body: { kind, value, label }
+app.post('/api/users/:user/rules/preview', async (req, res) => {
+  try {
+    const invalid = senderRuleError(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const rule = buildSenderRule(req.body);
+    const result = await previewRule({ jmap: req.jmap, rules: userRules(config, req.fastmailUser), rule });
+    res.json({ rule, ...result });
+  } catch (error) {
+    console.error('Error previewing rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to append a proposed rule to the user's rule-list in rules.jsonc
+// Body: { kind, value, label }
+app.post('/api/users/:user/rules', async (req, res) => {
+  try {
+    const invalid = senderRuleError(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const rule = buildSenderRule(req.body);
+    const accountId = await req.jmap.getAccountId();
+    const { list: mailboxes } = await req.jmap.call('Mailbox/get', { accountId, properties: ['name'] });
+    const ruleNumber = await appendRule(req.fastmailUser, rule, mailboxes.map(mailbox => mailbox.name));
+    config = loadRules();
+    scheduler.reconfigure();
+    console.log(`Added rule ${ruleNumber} for ${req.fastmailUser}: ${JSON.stringify(rule)}`);
     
-    res.json({ success: true, locked: clientHasLock });
+    res.json({ ruleNumber, rule });
   } catch (error) {
-    console.error('Error saving data:', error);
+    if (error.invalid) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error adding rule:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// API endpoint to release lock
-app.post('/api/release-lock', (req, res) => {
-  clientHasLock = false;
-  lockTimestamp = null;
-  console.log('Client released lock');
-  res.json({ success: true });
+// Check rules.jsonc text, with each user's folders looked up for the folder check
+// Users that can't be looked up get a warning and no folder check
+async function checkRulesText(text) {
+  const issues = [];
+  const mailboxNames = {};
+  
+  let users = [];
+  try {
+    users = configuredUsers(parseJsonc(text).value);
+  } catch {
+    // Syntax errors are reported by checkRules
+  }
+
+  for (const user of users.filter(Boolean)) {
+    try {
+      const jmap = clientFor(user);
+      const accountId = await jmap.getAccountId();
+      const { list } = await jmap.call('Mailbox/get', { accountId, properties: ['name'] });
+      mailboxNames[user] = list.map(mailbox => mailbox.name);
+    } catch (error) {
+      issues.push({ level: 'warning', line: 1, path: '', message: `Couldn't check folders for user ${user}: ${error.message}` });
+    }
+  }
+
+  return [...issues, ...checkRules(text, { mailboxNames })];
+}
+
+// API endpoint to get rules.jsonc for the editor, with its issues
+// The ETag is the version of rules.jsonc, saves send it back in If-Match
+app.get('/api/rules', async (req, res) => {
+  try {
+    const { content, version } = await readRulesText();
+    res.set('ETag', `"${version}"`);
+    res.json({ content, version, issues: await checkRulesText(content) });
+  } catch (error) {
+    console.error('Error reading rules:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// API endpoint to check lock status
-app.get('/api/lock-status', (req, res) => {
-  checkLockTimeout();
-  res.json({ locked: clientHasLock });
+// API endpoint to check edited rules.jsonc text without saving it
+app.post('/api/rules/validate', async (req, res) => {
+  try {
+    const { content } = req.body;
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Missing content' });
+    }
+    res.json({ issues: await checkRulesText(content) });
+  } catch (error) {
+    console.error('Error checking rules:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// API endpoint to get full message from Fastmail
-app.get('/api/message/:messageId', async (req, res) => {
+// API endpoint to save rules.jsonc, the text is written as sent so comments stay
+// Rejected with 400 and the issues when the check finds errors. If-Match must
+// hold the version the text was loaded at, a rule added or another save since
+// gets a 409 with the current version.
+app.put('/api/rules', async (req, res) => {
   try {
-    const { messageId } = req.params;
+    const { content } = req.body;
+    const version = req.get('If-Match')?.replace(/"/g, '');
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Missing content' });
+    }
+    if (!version) {
+      return res.status(428).json({ error: 'Missing If-Match version' });
+    }
+
+    const issues = await checkRulesText(content);
+    if (issues.some(issue => issue.level === 'error')) {
+      return res.status(400).json({ error: 'rules.jsonc has errors, not saved', issues });
+    }
+
+    const newVersion = await saveRulesText(content, version);
+    config = loadRules();
+    scheduler.reconfigure();
+    console.log(`Saved rules.jsonc (${content.length} bytes)`);
     
-    if (!messageId) {
-      return res.status(400).json({ error: 'Missing messageId' });
+    res.set('ETag', `"${newVersion}"`);
+    res.json({ success: true, version: newVersion, issues });
+  } catch (error) {
+    if (error.conflict) {
+      return res.status(409).json({ error: error.message, version: error.version });
     }
+    console.error('Error saving rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Get session to find account ID
-    const sessionResponse = await fetch('https://api.fastmail.com/.well-known/jmap', {
-      headers: { 'Authorization': `Bearer ${apiToken}` }
+// API endpoint for the rule test bench: every rule of the user's rule-list
+// explained for one message, with the text tested, each condition and the actions
+app.get('/api/users/:user/bench/message/:messageId', async (req, res) => {
+  try {
+    const accountId = await req.jmap.getAccountId();
+    const { list: [message] } = await req.jmap.call('Email/get', {
+      accountId,
+      ids: [req.params.messageId],
+      properties: RULE_MESSAGE_PROPERTIES,
+      fetchTextBodyValues: true
     });
     
-    const session = await sessionResponse.json();
-    const accountId = session.primaryAccounts['urn:ietf:params:jmap:mail'];
-
-    // Get full message details
-    const messageResponse = await jmapRequest([
-      ['Email/get', {
-        accountId,
-        ids: [messageId],
-        properties: ['id', 'subject', 'from', 'to', 'receivedAt', 'htmlBody', 'textBody', 'bodyValues', 'headers'],
-        fetchAllBodyValues: true
-      }, 'emailGet']
-    ]);
-
-    const messages = messageResponse.methodResponses[0][1].list;
-    
-    if (messages.length === 0) {
+    if (!message) {
       return res.status(404).json({ error: 'Message not found' });
     }
 
-    const message = messages[0];
-    
-    // Try to get HTML body first, fallback to text
-    let bodyContent = '';
-    let bodyType = 'text';
-    
-    if (message.htmlBody && message.htmlBody.length > 0) {
-      const htmlPartId = message.htmlBody[0].partId;
-      bodyContent = message.bodyValues?.[htmlPartId]?.value || '';
-      bodyType = 'html';
-    } else if (message.textBody && message.textBody.length > 0) {
-      const textPartId = message.textBody[0].partId;
-      bodyContent = message.bodyValues?.[textPartId]?.value || '';
-      bodyType = 'text';
+    const ruleList = userRules(config, req.fastmailUser)['rule-list'];
+    await classifyMessages({ user: req.fastmailUser, ruleList, messages: [message] });
+    res.json({
+      message: {
+        id: message.id,
+        from: message.from?.[0]?.email || '',
+        subject: message.subject || '',
+        receivedAt: message.receivedAt
+      },
+      results: explainRules(message, ruleList)
+    });
+  } catch (error) {
+    console.error('Error testing rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to test an unsaved draft rule against the newest scan folder messages
+// Body: { rule: <JSONC text of one rule>, count }
+app.post('/api/users/:user/bench/draft', async (req, res) => {
+  try {
+    const { rule: text, count = BENCH_DEFAULT_COUNT } = req.body;
+    if (typeof text !== 'string') {
+      return res.status(400).json({ error: 'Missing rule' });
+    }
+    if (!Number.isInteger(count) || count < 1 || count > BENCH_MAX_COUNT) {
+      return res.status(400).json({ error: `count must be 1 to ${BENCH_MAX_COUNT}` });
     }
 
-    res.json({
-      id: message.id,
-      subject: message.subject,
-      from: message.from,
-      to: message.to,
-      receivedAt: message.receivedAt,
-      bodyContent,
-      bodyType,
-      headers: message.headers
+    const { rule, issues } = checkDraftRule(text);
+    if (!rule) {
+      return res.status(400).json({ error: 'The draft rule has errors', issues });
+    }
+
+    const result = await previewRule({
+      jmap: req.jmap,
+      rules: userRules(config, req.fastmailUser),
+      rule,
+      count,
+      sampleCount: count
     });
+    res.json({ issues, actions: ruleActions(rule), ...result });
   } catch (error) {
-    console.error('Error fetching message:', error);
+    console.error('Error testing draft rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint for the rule report: per-rule hit counters from the runs, and rules
+// that never matched, can't run past a stop, overlap or conflict
+app.get('/api/users/:user/rule-report', async (req, res) => {
+  try {
+    const report = await buildRuleReport({
+      user: req.fastmailUser,
+      ruleList: userRules(config, req.fastmailUser)['rule-list']
+    });
+    res.json({ ...report, findings: ruleReportFindings(report) });
+  } catch (error) {
+    console.error('Error building rule report:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -203,7 +608,22 @@ app.get('*', (req, res) => {
   res.sendFile(join(rootDir, 'public', 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`Fastmail host server running on port ${PORT}`);
-  console.log(`Local URL: http://localhost:${PORT}`);
-});
+// Start the web server for the users configured in rules.jsonc
+export async function startHost(options) {
+  config = options.config;
+  auth = await createAuth();
+  
+  liveEvents = createLiveEvents({ getClient: clientFor });
+  scheduler = createScheduler({
+    getConfig: () => config,
+    getClient: clientFor,
+    isLocked: clientHasLock,
+    onRun: (user, event) => liveEvents.send(user, 'run', event)
+  });
+  scheduler.start();
+  
+  app.listen(PORT, () => {
+    console.log(`Fastmail host server running on port ${PORT}`);
+    console.log(`Local URL: http://localhost:${PORT}`);
+  });
+}
@@ -1,177 +1,346 @@
-import { readFileSync, appendFileSync, existsSync } from 'fs';
-import { createWriteStream } from 'fs';
-import fetch from 'node-fetch';
+import { readFileSync, writeFileSync, appendFileSync, existsSync } from 'fs';
+import { describeSetError } from './jmap.js';
+import { newRunId, appendJournal, patchState, undoRun } from './journal.js';
+import { RULE_MESSAGE_PROPERTIES, toList, testCondition } from './rules.js';
+import { userDataPath, ensureUserDataDir } from './config.js';
+import { recordRuleStats } from './ruleStats.js';
+import { loadSenders, updateSenders, recordSender, senderOverrides, exclusionsToClean, markLabelRemoved } from './senders.js';
+import { editLockedSince } from './dataFiles.js';
+import { classifyMessages } from './classifier.js';
 
 const SAVE_SUBJECTS  = true;
 const PROCESS_LABELS = true;
 
-const JMAP_API_URL = "https://api.fastmail.com/jmap/api/";
+// Per-user files in data/<user>/
+const STATE_FILE      = 'jmap-state.json';
+// Dry-run plans by the pass that wrote them, each reviewed and applied on its own
+export const PLAN_FILES = { process: 'plan.json', retention: 'retention-plan.json' };
+const MAX_CHANGES  = 1000;
+const QUERY_PAGE_SIZE = 500;
+// What's needed of the messages in a thread that weren't scanned
+const THREAD_MEMBER_PROPERTIES = ['id', 'threadId', 'from', 'subject', 'receivedAt', 'mailboxIds', 'keywords'];
 
-// Load tokens and rules
-const jmapTokens = JSON.parse(readFileSync('./secrets/jmapTokens.json', 'utf8'));
-const rules = JSON.parse(readFileSync('./rules.jsonc', 'utf8').replace(/\/\/.*$/gm, '').replace(/,(\s*[}\]])/g, '$1'));
+// Load the Email state saved at the end of the previous run, as
+// { emailState, pendingIds } with pendingIds the messages changed by others
+// while that run was going, which the state is already past
+function loadSavedState(user, accountId, scanMailboxId) {
+  const statePath = userDataPath(user, STATE_FILE);
+  if (!existsSync(statePath)) return null;
+  const saved = JSON.parse(readFileSync(statePath, 'utf8'));
+  // State is only valid for the same account and scan folder
+  if (saved.accountId !== accountId || saved.scanMailboxId !== scanMailboxId) return null;
+  return { emailState: saved.emailState, pendingIds: saved.pendingIds || [] };
+}
 
-const FASTMAIL_USER = rules.user;
-const apiToken = jmapTokens[FASTMAIL_USER];
-if (!apiToken) {
-  console.error(`No API token found for user: ${FASTMAIL_USER}`);
-  process.exit(1);
+function saveState(user, accountId, scanMailboxId, emailState, pendingIds = []) {
+  writeFileSync(userDataPath(user, STATE_FILE), JSON.stringify({
+    accountId,
+    scanMailboxId,
+    emailState,
+    pendingIds,
+    savedAt: new Date().toISOString()
+  }, null, 2) + '\n', 'utf8');
 }
 
-// Dual logging setup
-const logStream = createWriteStream('jmap-proc.log', { flags: 'a' });
-const originalStdoutWrite = process.stdout.write.bind(process.stdout);
-const originalStderrWrite = process.stderr.write.bind(process.stderr);
+// Get ids of messages created or updated since sinceState
+// Returns null when the server can't calculate changes (state too old)
+async function getChangedEmailIds(jmap, accountId, sinceState) {
+  const changedIds = new Set();
+  let state = sinceState;
+  let hasMoreChanges = true;
+  
+  while (hasMoreChanges) {
+    let responseData;
+    try {
+      responseData = await jmap.call('Email/changes', {
+        accountId,
+        sinceState: state,
+        maxChanges: MAX_CHANGES
+      });
+    } catch (error) {
+      if (error.type === 'cannotCalculateChanges') return null;
+      throw error;
+    }
+    
+    for (const id of [...responseData.created, ...responseData.updated]) {
+      changedIds.add(id);
+    }
+    for (const id of responseData.destroyed) {
+      changedIds.delete(id);
+    }
+    
+    state = responseData.newState;
+    hasMoreChanges = responseData.hasMoreChanges;
+  }
+  
+  return { ids: Array.from(changedIds), newState: state };
+}
 
-process.stdout.write = (chunk, encoding, callback) => {
-  logStream.write(chunk, encoding);
-  return originalStdoutWrite(chunk, encoding, callback);
-};
+// Ids of every message matching filter, a page at a time
+export async function queryAllIds(jmap, accountId, filter) {
+  const ids = [];
+  for (;;) {
+    const { ids: page, total } = await jmap.call('Email/query', {
+      accountId,
+      filter,
+      position: ids.length,
+      limit: QUERY_PAGE_SIZE,
+      calculateTotal: true
+    });
+    ids.push(...page);
+    if (page.length === 0 || ids.length >= total) return ids;
+  }
+}
 
-process.stderr.write = (chunk, encoding, callback) => {
-  logStream.write(chunk, encoding);
-  return originalStderrWrite(chunk, encoding, callback);
-};
+// The messages of each thread the scanned messages are in, by threadId
+// Scanned messages are used as they are, the rest are fetched
+async function loadThreadMembers(jmap, accountId, messages) {
+  const threadIds = [...new Set(messages.map(message => message.threadId))];
+  const { list: threads } = await jmap.getAll('Thread', { accountId, ids: threadIds });
+  const scannedById = new Map(messages.map(message => [message.id, message]));
+  const otherIds = threads.flatMap(thread => thread.emailIds).filter(id => !scannedById.has(id));
+  const { list: others } = await jmap.getAll('Email', { accountId, ids: otherIds, properties: THREAD_MEMBER_PROPERTIES });
+  const byId = new Map([...scannedById, ...others.map(message => [message.id, message])]);
+  return new Map(threads.map(thread => [thread.id, thread.emailIds.map(id => byId.get(id)).filter(Boolean)]));
+}
 
-async function jmapRequest(methodCalls) {
-  const response = await fetch(JMAP_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiToken}`
-    },
-    body: JSON.stringify({
-      using: ['urn:ietf:params:jmap:core', 'urn:ietf:params:jmap:mail'],
-      methodCalls
-    })
-  });
+// Write a dry-run plan for review, apply-plan sends its changes
+// kind is the pass that made it, one of PLAN_FILES. The processor adds what
+// its run would have recorded in run, for apply-plan to record.
+export function writePlan(rules, accountId, messages, kind = 'process', run = null) {
+  writeFileSync(userDataPath(rules.user, PLAN_FILES[kind]), JSON.stringify({
+    kind,
+    user: rules.user,
+    accountId,
+    scanFolder: rules['scan-folder'],
+    createdAt: new Date().toISOString(),
+    appliedAt: null,
+    messages,
+    ...(run && { run })
+  }, null, 2) + '\n', 'utf8');
+}
 
-  if (!response.ok) {
-    throw new Error(`JMAP request failed: ${response.status} ${response.statusText}`);
+// Move the saved state past a run's own changes, so the next run doesn't get
+// them back and count their rule matches again. Messages others changed since
+// emailState are kept to be processed next run.
+async function saveStateAfterRun(jmap, user, accountId, scanMailboxId, emailState, updated) {
+  const changesSince = await getChangedEmailIds(jmap, accountId, emailState);
+  if (changesSince) {
+    const pendingIds = changesSince.ids.filter(id => !(id in updated));
+    saveState(user, accountId, scanMailboxId, changesSince.newState, pendingIds);
+  } else {
+    saveState(user, accountId, scanMailboxId, emailState);
   }
+}
 
-  return await response.json();
+// Record the senders of labeled messages and the excluded senders whose label
+// was cleaned up. Senders are cleaned again next run when any of their
+// messages failed. Returns how many senders are new.
+async function saveRunSenders({ user, jmap, labeledMessages, cleanupIdsByEmail, notUpdated, time }) {
+  const cleanedEmails = Object.keys(cleanupIdsByEmail)
+    .filter(email => !cleanupIdsByEmail[email].some(id => id in notUpdated));
+  if (!SAVE_SUBJECTS && cleanedEmails.length === 0) return 0;
+
+  // Read and written in one step, so senders moved in the web editor during the run are kept
+  const { result: newSendersCount } = await updateSenders({ user, jmap }, senders => {
+    markLabelRemoved(senders, cleanedEmails, time);
+    return labeledMessages.filter(({ message, label }) => recordSender(senders, message, label)).length;
+  });
+  return newSendersCount;
 }
 
-function getTextString(message, rule) {
-  const parts = [];
+// Send the changes from a reviewed plan file
+// Uses patches so other changes made since the plan was written are kept
+export async function applyPlan({ rules, jmap, kind = 'process' }) {
+  const planPath = userDataPath(rules.user, PLAN_FILES[kind]);
+  const plan = JSON.parse(readFileSync(planPath, 'utf8'));
   
-  if (rule.header) {
-    const headerValue = message.headers?.find(h => h.name.toLowerCase() === rule.header.toLowerCase())?.value || '';
-    parts.push(headerValue);
-  }
+  console.log('');
+  console.log(`Applying plan from ${plan.createdAt} for ${plan.user} ...`);
   
-  if (rule.from) {
-    parts.push(message.from?.[0]?.email || '');
+  if (plan.user !== rules.user) {
+    throw new Error(`Plan is for user ${plan.user}, not ${rules.user}`);
   }
-  
-  if (rule.to) {
-    parts.push(message.to?.map(t => t.email).join(' ') || '');
+  if (plan.appliedAt) {
+    throw new Error(`Plan was already applied at ${plan.appliedAt}`);
   }
   
-  if (rule.subject) {
-    parts.push(message.subject || '');
+  const updates = {};
+  for (const message of plan.messages) {
+    const patch = {};
+    for (const change of message.changes) {
+      if (change.action === 'add-label') {
+        patch[`mailboxIds/${change.mailboxId}`] = true;
+      } else if (change.action === 'remove-label') {
+        patch[`mailboxIds/${change.mailboxId}`] = null;
+      } else if (change.action === 'set-keyword') {
+        patch[`keywords/${change.keyword}`] = true;
+      } else if (change.action === 'remove-keyword') {
+        patch[`keywords/${change.keyword}`] = null;
+      }
+    }
+    updates[message.id] = patch;
   }
   
-  if (rule.body) {
-    parts.push(message.bodyValues?.['body']?.value || message.textBody?.[0]?.partId ? message.bodyValues?.[message.textBody[0].partId]?.value || '' : '');
+  // Current state of each message, for the journal
+  const { list: currentMessages } = await jmap.getAll('Email', {
+    accountId: plan.accountId,
+    ids: plan.messages.map(message => message.id),
+    properties: ['id', 'mailboxIds', 'keywords']
+  });
+  const currentById = new Map(currentMessages.map(message => [message.id, message]));
+  
+  const runId = newRunId();
+  const result = await jmap.setAll('Email', plan.accountId, updates);
+  const updatedCount = Object.keys(result.updated).length;
+  for (const [id, error] of Object.entries(result.notUpdated)) {
+    console.log(`  Not updated ${id}: ${describeSetError(error)}`);
   }
   
-  return parts.join('|').toLowerCase();
+  await appendJournal(rules.user, plan.messages.filter(message => message.id in result.updated).map(message => {
+    const current = currentById.get(message.id);
+    const before = { mailboxIds: current.mailboxIds, keywords: current.keywords || {} };
+    return {
+      runId,
+      kind: 'apply-plan',
+      time: new Date().toISOString(),
+      messageId: message.id,
+      from: message.from,
+      subject: message.subject,
+      rules: [...new Set(message.changes.map(change => change.rule))],
+      before,
+      after: patchState(before, updates[message.id])
+    };
+  }));
+  
+  plan.appliedAt = new Date().toISOString();
+  writeFileSync(planPath, JSON.stringify(plan, null, 2) + '\n', 'utf8');
+  
+  console.log(`Plan applied, ${updatedCount} of ${plan.messages.length} messages updated`);
+  console.log(`  Journaled as run ${runId}`);
+  
+  // A processor plan is recorded like the run it came from would have been
+  if (plan.run) await recordAppliedRun(rules, jmap, plan, result);
 }
 
-function testRule(textString, rule) {
-  if (rule.empty !== undefined) {
-    if (rule.empty && textString !== '') return false;
-    if (!rule.empty && textString === '') return false;
+// Rule stats, state and senders for an applied processor plan
+async function recordAppliedRun(rules, jmap, { accountId, run }, { updated, notUpdated }) {
+  const user = rules.user;
+  // Rule numbers in the plan are only right for the rule-list it was made with
+  if (JSON.stringify(run.ruleList) === JSON.stringify(rules['rule-list'])) {
+    await recordRuleStats({ user, ruleList: run.ruleList, matches: run.ruleMatches, updatedIds: Object.keys(updated) });
+  } else {
+    console.log('  Rule stats not recorded, the rule-list changed since the dry run');
   }
   
-  if (rule['not-empty'] !== undefined) {
-    if (rule['not-empty'] && textString === '') return false;
-    if (!rule['not-empty'] && textString !== '') return false;
+  // A run since the dry run has already moved the state on
+  if ((loadSavedState(user, accountId, run.scanMailboxId)?.emailState ?? null) === run.sinceState) {
+    await saveStateAfterRun(jmap, user, accountId, run.scanMailboxId, run.emailState, updated);
+  } else {
+    console.log('  State not saved, a run since the dry run has already moved it on');
   }
   
-  if (rule.exact !== undefined) {
-    if (textString !== rule.exact.toLowerCase()) return false;
+  const newSendersCount = await saveRunSenders({
+    user, jmap, labeledMessages: run.labeledMessages, cleanupIdsByEmail: run.cleanupIdsByEmail, notUpdated, time: run.startedAt
+  });
+  if (newSendersCount > 0) {
+    console.log(`  Saved ${newSendersCount} new sender(s) to data/${user}/senders.json`);
   }
+}
+
+// Revert a journaled run, or one message of it
+export async function undo({ rules, jmap, runId, messageId = null }) {
+  console.log('');
+  console.log(`Undoing run ${runId}${messageId ? ` message ${messageId}` : ''} for ${rules.user} ...`);
   
-  if (rule['not-exact'] !== undefined) {
-    if (textString === rule['not-exact'].toLowerCase()) return false;
-  }
+  const result = await undoRun(jmap, rules.user, runId, messageId);
   
-  if (rule.regex !== undefined) {
-    const regex = new RegExp(rule.regex, 'i');
-    if (!regex.test(textString)) return false;
+  console.log(`Undo finished, ${result.undone.length} messages reverted`);
+  if (result.alreadyUndone > 0) {
+    console.log(`  Already undone: ${result.alreadyUndone} messages`);
   }
-  
-  if (rule.contains !== undefined) {
-    if (Array.isArray(rule.contains)) {
-      const found = rule.contains.some(str => textString.includes(str.toLowerCase()));
-      if (!found) return false;
-    } else {
-      if (!textString.includes(rule.contains.toLowerCase())) return false;
-    }
+  for (const skipped of result.skipped) {
+    console.log(`  Skipped ${skipped.messageId} ${skipped.subject}: ${skipped.reason}`);
   }
-  
-  if (rule['one-of'] !== undefined) {
-    const found = rule['one-of'].some(str => textString.includes(str.toLowerCase()));
-    if (!found) return false;
+  if (result.undone.length > 0) {
+    console.log(`  Journaled as run ${result.runId}`);
   }
-  
-  return true;
 }
 
-async function processMessages() {
+function logThreadCounts({ inherited, propagated, labelsAdded, labelsRemoved }, dryRun) {
+  if (inherited + propagated === 0) return;
+  const labels = [
+    ...Object.entries(labelsAdded).map(([label, count]) => `+${label} ${count}`),
+    ...Object.entries(labelsRemoved).map(([label, count]) => `-${label} ${count}`)
+  ];
+  console.log(`  Threads: ${inherited} messages ${dryRun ? 'would inherit' : 'inherited'} a thread's label, ` +
+    `${propagated} ${dryRun ? 'would get' : 'got'} a rule's labels from their thread: ${labels.join(', ')}`);
+}
+
+function logOverrideCounts({ skipped, removed, added }) {
+  if (skipped + removed + added === 0) return;
+  console.log(`  Sender overrides: ${skipped} rule label changes skipped, ${removed} excluded labels removed, ${added} allowed labels added`);
+}
+
+// Apply the rules to the scan folder
+// fullScan ignores the saved state, dryRun writes the plan file instead of changing the mailbox
+export async function processMessages({ rules, jmap, fullScan = false, dryRun = false }) {
   console.log('');
-  console.log(`Fastmail processing ${rules.user} ...`);
+  console.log(`Fastmail processing ${rules.user} ...${dryRun ? ' (dry run)' : ''}`);
   console.log(`   Source folder: ${rules['scan-folder']}`);
-  console.log(`   From message:   ${rules['first-message']}`);
-  console.log(`   To message:     ${rules['last-message']}`);
+  
+  // The web editor's lock keeps runs from changing the senders it's editing
+  const lockedSince = await editLockedSince(rules.user);
+  if (lockedSince && !dryRun) {
+    throw new Error(`The web editor has had the lock for ${rules.user} since ${lockedSince}, try again when it's released`);
+  }
   
   const startTime = Date.now();
+  const runId = newRunId();
+  const user = rules.user;
   const labelsAdded = {};
   const labelsRemoved = {};
-  let subjectsByLabel = {}; // Map of label -> Set of from names
-  let subjectLinesByLabel = {}; // Map of label -> array of subject lines
-  
-  // Load existing subjects to avoid duplicates
-  if (SAVE_SUBJECTS) {
-    if (existsSync('subjects.txt')) {
-      const existingContent = readFileSync('subjects.txt', 'utf8');
-      const lines = existingContent.split('\n');
-      let currentLabel = null;
-      
-      for (const line of lines) {
-        if (line.match(/^=======.*=======$/)) {
-          // Extract label name from header
-          currentLabel = line.replace(/^=======\s*/, '').replace(/\s*=======\s*$/, '');
-          if (!subjectsByLabel[currentLabel]) {
-            subjectsByLabel[currentLabel] = new Set();
-            subjectLinesByLabel[currentLabel] = [];
-          }
-        } else if (line.trim() && currentLabel && line.includes(' | ')) {
-          const fromName = line.split(' | ')[0];
-          subjectsByLabel[currentLabel].add(fromName);
-        }
-      }
-    }
-  }
-  
-  // Get session to find account ID
-  const sessionResponse = await fetch('https://api.fastmail.com/.well-known/jmap', {
-    headers: { 'Authorization': `Bearer ${apiToken}` }
-  });
-  
-  const session = await sessionResponse.json();
-  const accountId = session.primaryAccounts['urn:ietf:params:jmap:mail'];
+  const keywordsSet = {};
+  const keywordsCleared = {};
+  const ruleMatchCounts = {};
+  // Labels the exclusions and allowed lists kept off, took off and added
+  const overrideCounts = { skipped: 0, removed: 0, added: 0 };
+  // Messages that inherited a label from their thread or got a thread rule's
+  // labels from another message of the thread, and the labels they changed.
+  // Kept out of labelsAdded and labelsRemoved.
+  const threadCounts = { inherited: 0, propagated: 0, labelsAdded: {}, labelsRemoved: {} };
+  // Returned to callers such as the host scheduler
+  const summary = {
+    runId,
+    user,
+    dryRun,
+    startedAt: new Date(startTime).toISOString(),
+    elapsedSecs: 0,
+    processedCount: 0,
+    changedCount: 0,
+    failedCount: 0,
+    labelsAdded,
+    labelsRemoved,
+    keywordsSet,
+    keywordsCleared,
+    ruleMatchCounts,
+    overrideCounts,
+    threadCounts
+  };
+  // Messages a rule or the allowed list labeled, their senders are saved unless
+  // this is a dry run. Labels that came from the thread don't make a sender.
+  const labeledMessages = [];
+  
+  // Get account ID from the session
+  const accountId = await jmap.getAccountId();
+  
+  // Excluded senders don't get their label from rules, allowed ones always get it
+  const { senders } = await loadSenders({ user, jmap });
+  const overrides = senderOverrides(senders);
+  const removeExcludedLabel = Boolean(rules['sender-overrides']?.['remove-excluded-label']);
   
   // Get mailboxes
-  const accountResponse = await jmapRequest([
-    ['Mailbox/get', { accountId }, 'mailboxes']
-  ]);
-  
-  // Get mailbox ID for scan folder
-  const mailboxes = accountResponse.methodResponses[0][1].list;
+  const { list: mailboxes } = await jmap.call('Mailbox/get', { accountId });
   
   // Create required folders if they don't exist
   const requiredFolders = rules.Folders || [];
@@ -189,15 +358,16 @@ async function processMessages() {
     });
     
     console.log(`Creating folders: ${foldersToCreate.join(', ')}`);
-    const createResponse = await jmapRequest([
-      ['Mailbox/set', {
-        accountId,
-        create: createRequests
-      }, 'mailboxCreate']
-    ]);
+    const { created, notCreated } = await jmap.call('Mailbox/set', {
+      accountId,
+      create: createRequests
+    });
+    
+    for (const [tempId, error] of Object.entries(notCreated || {})) {
+      console.error(`Failed to create folder ${createRequests[tempId].name}: ${describeSetError(error)}`);
+    }
     
     // Add newly created mailboxes to our list
-    const created = createResponse.methodResponses[0][1].created;
     if (created) {
       for (const [tempId, mailbox] of Object.entries(created)) {
         mailboxes.push({ id: mailbox.id, name: createRequests[tempId].name });
@@ -211,108 +381,144 @@ async function processMessages() {
     mailboxNameToId[mb.name] = mb.id;
     mailboxNameToId[mb.name.toLowerCase()] = mb.id;
   });
+  const mailboxIdToName = {};
+  mailboxes.forEach(mb => mailboxIdToName[mb.id] = mb.name);
+  
+  // Special folders used by the archive and trash actions
+  const archiveMailbox = mailboxes.find(mb => mb.role === 'archive');
+  const trashMailbox = mailboxes.find(mb => mb.role === 'trash');
   
   const scanMailbox = mailboxes.find(mb => mb.name.toLowerCase() === rules['scan-folder'].toLowerCase());
   
   if (!scanMailbox) {
-    console.error(`Folder not found: ${rules['scan-folder']}`);
-    process.exit(1);
+    throw new Error(`Folder not found: ${rules['scan-folder']}`);
   }
   
-  // Query messages
-  const queryResponse = await jmapRequest([
-    ['Email/query', {
-      accountId,
-      filter: { inMailbox: scanMailbox.id },
-      sort: [{ property: 'receivedAt', isAscending: false }],
-      limit: rules['last-message'] - rules['first-message'] + 1
-    }, 'emailQuery']
-  ]);
-  
-  const emailIds = queryResponse.methodResponses[0][1].ids;
-  
-  if (emailIds.length === 0) {
-    const elapsedSecs = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`Scan finished ${elapsedSecs} secs, 0 processed`);
-    return;
+  // Only look at changes since the last run when we have a saved state
+  ensureUserDataDir(user);
+  const savedState = fullScan ? null : loadSavedState(user, accountId, scanMailbox.id);
+  let emailIds = null;
+  let newState = null;
+  let incremental = false;
+  
+  if (savedState) {
+    const changes = await getChangedEmailIds(jmap, accountId, savedState.emailState);
+    if (changes) {
+      emailIds = [...new Set([...changes.ids, ...savedState.pendingIds])];
+      newState = changes.newState;
+      incremental = true;
+    } else {
+      console.log('   Saved state too old, falling back to full scan');
+    }
   }
   
-  // Get message details in batches (JMAP has maxObjectsInGet limit)
-  const BATCH_SIZE = 256;
-  const messages = [];
-  
-  for (let i = 0; i < emailIds.length; i += BATCH_SIZE) {
-    const batchIds = emailIds.slice(i, i + BATCH_SIZE);
+  if (incremental) {
+    console.log(`   Incremental:   ${emailIds.length} changed messages`);
+  } else {
+    console.log(`   From message:   ${rules['first-message']}`);
+    console.log(`   To message:     ${rules['last-message']}`);
     
-    const getResponse = await jmapRequest([
+    // Query messages, getting the current state in the same request
+    const [emailState, emailQuery] = await jmap.request([
       ['Email/get', {
         accountId,
-        ids: batchIds,
-        properties: ['id', 'subject', 'from', 'to', 'headers', 'keywords', 'mailboxIds', 'textBody', 'bodyValues'],
-        fetchTextBodyValues: true
-      }, 'emailGet']
+        ids: [],
+        properties: ['id']
+      }, 'emailState'],
+      ['Email/query', {
+        accountId,
+        filter: { inMailbox: scanMailbox.id },
+        sort: [{ property: 'receivedAt', isAscending: false }],
+        limit: rules['last-message'] - rules['first-message'] + 1
+      }, 'emailQuery']
     ]);
     
-    // Check for errors in response
-    if (!getResponse.methodResponses || !getResponse.methodResponses[0]) {
-      console.error('Invalid JMAP response:', JSON.stringify(getResponse, null, 2));
-      process.exit(1);
-    }
-    
-    const responseData = getResponse.methodResponses[0][1];
-    if (!responseData || !responseData.list) {
-      console.error('No message list in response. Response data:', JSON.stringify(responseData, null, 2));
-      process.exit(1);
-    }
-    
-    messages.push(...responseData.list);
-    
-    if (i + BATCH_SIZE < emailIds.length) {
-      console.log(`  Fetched ${messages.length} of ${emailIds.length} messages...`);
+    newState = emailState.state;
+    emailIds = emailQuery.ids;
+  }
+  
+  // A newly excluded sender's label is still cleaned up when no mail changed
+  const cleansExclusions = removeExcludedLabel && PROCESS_LABELS && exclusionsToClean(senders).length > 0;
+  if (emailIds.length === 0 && !cleansExclusions) {
+    saveState(user, accountId, scanMailbox.id, newState);
+    const elapsedSecs = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`Scan finished ${elapsedSecs} secs, 0 processed`);
+    summary.elapsedSecs = Number(elapsedSecs);
+    return summary;
+  }
+  
+  // Get message details, batched to the server's maxObjectsInGet
+  let { list: messages } = await jmap.getAll('Email', {
+    accountId,
+    ids: emailIds,
+    properties: RULE_MESSAGE_PROPERTIES,
+    fetchTextBodyValues: true
+  }, (fetchedCount, totalCount) => {
+    if (fetchedCount < totalCount) {
+      console.log(`  Fetched ${fetchedCount} of ${totalCount} messages...`);
     }
+  });
+  
+  if (incremental) {
+    // Changes cover every mailbox, keep scan folder messages in query order
+    messages = messages
+      .filter(message => message.mailboxIds?.[scanMailbox.id])
+      .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
   }
+  
+  await classifyMessages({ user, ruleList: rules['rule-list'], messages });
+  
+  // Labels added by thread rules are inherited by new messages of a thread that has them
+  const threadRules = rules['rule-list'].filter(rule => rule.thread);
+  const threadLabelIds = [...new Set(threadRules.map(rule => mailboxNameToId[rule['add-label']]).filter(Boolean))];
+  const threadMembers = threadRules.length > 0 ? await loadThreadMembers(jmap, accountId, messages) : new Map();
+  // Label changes of thread rules, made to the rest of the thread after the scan
+  const threadActions = [];
+  
   const updates = {};
-  let stopProcessing = false;
+  const plan = [];
+  const ruleMatches = [];
   
   // Process each message
   for (const message of messages) {
-    if (stopProcessing) break;
-    
     const messageUpdates = { 
       mailboxIds: { ...message.mailboxIds },
       keywords: { ...message.keywords } 
     };
     let messageModified = false;
+    const planChanges = [];
+    const matchedRules = [];
+    const senderEmail = message.from?.[0]?.email?.toLowerCase();
+    const excludedLabel = overrides.excluded.get(senderEmail)?.toLowerCase();
+    const allowedLabel = overrides.allowed.get(senderEmail)?.toLowerCase();
     
     // Apply each rule
-    for (const rule of rules['rule-list']) {
-      const textString = getTextString(message, rule);
-      
-      if (testRule(textString, rule)) {
+    for (const [ruleIndex, rule] of rules['rule-list'].entries()) {
+      const ruleNumber = ruleIndex + 1;
+      if (testCondition(message, rule)) {
+        matchedRules.push(ruleNumber);
+        ruleMatchCounts[ruleNumber] = (ruleMatchCounts[ruleNumber] || 0) + 1;
+        
         if (rule['add-label']) {
           const labelName = rule['add-label'];
           const mailboxId = mailboxNameToId[labelName];
-          if (mailboxId) {
+          if (mailboxId && labelName.toLowerCase() === excludedLabel) {
+            overrideCounts.skipped++;
+          } else if (mailboxId) {
+            // An excluded sender's message doesn't spread the label either
+            if (rule.thread && PROCESS_LABELS) {
+              threadActions.push({ message, ruleNumber, mailboxId, add: true });
+            }
             if (PROCESS_LABELS) {
               messageUpdates.mailboxIds[mailboxId] = true;
               messageModified = true;
               labelsAdded[labelName] = (labelsAdded[labelName] || 0) + 1;
+              planChanges.push({ action: 'add-label', label: labelName, mailboxId, rule: ruleNumber });
             }
             
-            // Track subject for messages that had a label added
-            if (SAVE_SUBJECTS && message.subject) {
-              const fromName = message.from?.[0]?.name || message.from?.[0]?.email || 'Unknown';
-              
-              if (!subjectsByLabel[labelName]) {
-                subjectsByLabel[labelName] = new Set();
-                subjectLinesByLabel[labelName] = [];
-              }
-              
-              if (!subjectsByLabel[labelName].has(fromName)) {
-                const subjectLine = `${fromName} | ${message.subject} | ${message.id}`;
-                subjectsByLabel[labelName].add(fromName);
-                subjectLinesByLabel[labelName].push(subjectLine);
-              }
+            // Track the sender of messages that had a label added
+            if (SAVE_SUBJECTS) {
+              labeledMessages.push({ message, label: labelName });
             }
           }
         }
@@ -320,46 +526,327 @@ async function processMessages() {
         if (rule['remove-label']) {
           const labelName = rule['remove-label'];
           const mailboxId = mailboxNameToId[labelName];
-          if (mailboxId && PROCESS_LABELS) {
+          if (mailboxId && labelName.toLowerCase() === allowedLabel) {
+            overrideCounts.skipped++;
+          } else if (mailboxId && PROCESS_LABELS) {
+            if (rule.thread) {
+              threadActions.push({ message, ruleNumber, mailboxId, add: false });
+            }
             delete messageUpdates.mailboxIds[mailboxId];
             messageModified = true;
             labelsRemoved[labelName] = (labelsRemoved[labelName] || 0) + 1;
+            planChanges.push({ action: 'remove-label', label: labelName, mailboxId, rule: ruleNumber });
           }
           // Also remove any matching keywords (for cleanup)
           if (PROCESS_LABELS && messageUpdates.keywords[labelName]) {
             delete messageUpdates.keywords[labelName];
             messageModified = true;
+            planChanges.push({ action: 'remove-keyword', keyword: labelName, rule: ruleNumber });
           }
           if (PROCESS_LABELS && messageUpdates.keywords[labelName.toLowerCase()]) {
             delete messageUpdates.keywords[labelName.toLowerCase()];
             messageModified = true;
+            planChanges.push({ action: 'remove-keyword', keyword: labelName.toLowerCase(), rule: ruleNumber });
+          }
+        }
+        
+        // Keyword actions
+        const keywordsToSet = toList(rule['set-keyword']);
+        if (rule['mark-read']) keywordsToSet.push('$seen');
+        if (rule.flag) keywordsToSet.push('$flagged');
+        
+        for (const keyword of keywordsToSet.map(k => k.toLowerCase())) {
+          if (PROCESS_LABELS && !messageUpdates.keywords[keyword]) {
+            messageUpdates.keywords[keyword] = true;
+            messageModified = true;
+            keywordsSet[keyword] = (keywordsSet[keyword] || 0) + 1;
+            planChanges.push({ action: 'set-keyword', keyword, rule: ruleNumber });
+          }
+        }
+        
+        for (const keyword of toList(rule['clear-keyword']).map(k => k.toLowerCase())) {
+          if (PROCESS_LABELS && messageUpdates.keywords[keyword]) {
+            delete messageUpdates.keywords[keyword];
+            messageModified = true;
+            keywordsCleared[keyword] = (keywordsCleared[keyword] || 0) + 1;
+            planChanges.push({ action: 'remove-keyword', keyword, rule: ruleNumber });
           }
         }
         
-        if (rule.stop) {
-          stopProcessing = true;
-          break;
+        // Move actions add the target folder and take the message out of the scan folder
+        // Trash takes it out of every other folder
+        let moveTargetId = null;
+        if (rule.trash) {
+          moveTargetId = trashMailbox?.id;
+        } else if (rule.archive) {
+          moveTargetId = archiveMailbox?.id;
+        } else if (rule['move-to']) {
+          moveTargetId = mailboxNameToId[rule['move-to']];
+        }
+        
+        if (moveTargetId && PROCESS_LABELS) {
+          const idsToRemove = rule.trash
+            ? Object.keys(messageUpdates.mailboxIds).filter(id => id !== moveTargetId)
+            : [scanMailbox.id].filter(id => id !== moveTargetId && messageUpdates.mailboxIds[id]);
+          
+          if (!messageUpdates.mailboxIds[moveTargetId]) {
+            const labelName = mailboxIdToName[moveTargetId];
+            messageUpdates.mailboxIds[moveTargetId] = true;
+            messageModified = true;
+            labelsAdded[labelName] = (labelsAdded[labelName] || 0) + 1;
+            planChanges.push({ action: 'add-label', label: labelName, mailboxId: moveTargetId, rule: ruleNumber });
+          }
+          
+          for (const mailboxId of idsToRemove) {
+            const labelName = mailboxIdToName[mailboxId];
+            delete messageUpdates.mailboxIds[mailboxId];
+            messageModified = true;
+            labelsRemoved[labelName] = (labelsRemoved[labelName] || 0) + 1;
+            planChanges.push({ action: 'remove-label', label: labelName, mailboxId, rule: ruleNumber });
+          }
         }
+        
+        // stop ends this message's rules, the next message starts again at rule 1
+        if (rule.stop) break;
+      }
+    }
+    
+    // A thread label another message of the thread has, unless a rule took it
+    // off this one or the sender is excluded from it
+    const trashedByRules = trashMailbox && messageUpdates.mailboxIds[trashMailbox.id];
+    const threadOthers = (threadMembers.get(message.threadId) || []).filter(member => member.id !== message.id);
+    for (const mailboxId of threadLabelIds) {
+      const labelName = mailboxIdToName[mailboxId];
+      const removedByRule = planChanges.some(change => change.action === 'remove-label' && change.mailboxId === mailboxId);
+      if (messageUpdates.mailboxIds[mailboxId] || removedByRule || trashedByRules || !PROCESS_LABELS) continue;
+      if (!threadOthers.some(member => member.mailboxIds?.[mailboxId])) continue;
+      if (labelName.toLowerCase() === excludedLabel) {
+        overrideCounts.skipped++;
+        continue;
       }
+      messageUpdates.mailboxIds[mailboxId] = true;
+      messageModified = true;
+      threadCounts.inherited++;
+      threadCounts.labelsAdded[labelName] = (threadCounts.labelsAdded[labelName] || 0) + 1;
+      planChanges.push({ action: 'add-label', label: labelName, mailboxId, rule: 'thread' });
+    }
+    
+    // Sender overrides come after the rules, their changes name the list
+    // instead of a rule number
+    const excludedId = excludedLabel && mailboxNameToId[excludedLabel];
+    if (removeExcludedLabel && excludedId && messageUpdates.mailboxIds[excludedId] && PROCESS_LABELS) {
+      const labelName = mailboxIdToName[excludedId];
+      delete messageUpdates.mailboxIds[excludedId];
+      messageModified = true;
+      labelsRemoved[labelName] = (labelsRemoved[labelName] || 0) + 1;
+      overrideCounts.removed++;
+      planChanges.push({ action: 'remove-label', label: labelName, mailboxId: excludedId, rule: 'exclusions' });
+    }
+    
+    // Trashed messages don't get put back in a label
+    const allowedId = allowedLabel && mailboxNameToId[allowedLabel];
+    const trashed = trashMailbox && messageUpdates.mailboxIds[trashMailbox.id];
+    if (allowedId && !messageUpdates.mailboxIds[allowedId] && !trashed && PROCESS_LABELS) {
+      const labelName = mailboxIdToName[allowedId];
+      messageUpdates.mailboxIds[allowedId] = true;
+      messageModified = true;
+      labelsAdded[labelName] = (labelsAdded[labelName] || 0) + 1;
+      overrideCounts.added++;
+      planChanges.push({ action: 'add-label', label: labelName, mailboxId: allowedId, rule: 'allowed' });
+      if (SAVE_SUBJECTS) {
+        labeledMessages.push({ message, label: labelName });
+      }
+    }
+    
+    if (matchedRules.length > 0) {
+      ruleMatches.push({ message, rules: matchedRules, changes: planChanges });
     }
     
     if (messageModified) {
       updates[message.id] = messageUpdates;
+      plan.push({
+        id: message.id,
+        from: message.from?.[0]?.name || message.from?.[0]?.email || 'Unknown',
+        fromEmail: message.from?.[0]?.email || '',
+        subject: message.subject || '',
+        receivedAt: message.receivedAt,
+        changes: planChanges
+      });
     }
   }
   
-  // Apply updates
-  if (Object.keys(updates).length > 0) {
-    await jmapRequest([
-      ['Email/set', {
+  // Take an excluded sender's label off their messages outside the scan too,
+  // once after they're excluded. Messages in the scan were done above.
+  const scannedIds = new Set(messages.map(message => message.id));
+  const cleanupMessages = [];
+  const cleanupIdsByEmail = {};
+  if (removeExcludedLabel && PROCESS_LABELS) {
+    for (const { email, label } of exclusionsToClean(senders)) {
+      const mailboxId = mailboxNameToId[label.toLowerCase()];
+      const ids = mailboxId
+        ? await queryAllIds(jmap, accountId, { operator: 'AND', conditions: [{ inMailbox: mailboxId }, { from: email }] })
+        : [];
+      cleanupIdsByEmail[email] = ids.filter(id => !scannedIds.has(id));
+      if (cleanupIdsByEmail[email].length === 0) continue;
+      
+      const { list } = await jmap.getAll('Email', {
         accountId,
-        update: updates
-      }, 'emailUpdate']
-    ]);
+        ids: cleanupIdsByEmail[email],
+        properties: ['id', 'from', 'subject', 'receivedAt', 'mailboxIds', 'keywords']
+      });
+      for (const message of list) {
+        // The query's from matches anywhere in the header, so check the sender
+        if (message.from?.[0]?.email?.toLowerCase() !== email) continue;
+        const labelName = mailboxIdToName[mailboxId];
+        const mailboxIds = { ...message.mailboxIds };
+        delete mailboxIds[mailboxId];
+        const changes = [{ action: 'remove-label', label: labelName, mailboxId, rule: 'exclusions' }];
+        // A message must stay in some folder, one only in the label is archived
+        if (Object.keys(mailboxIds).length === 0) {
+          if (!archiveMailbox) continue;
+          mailboxIds[archiveMailbox.id] = true;
+          changes.push({ action: 'add-label', label: archiveMailbox.name, mailboxId: archiveMailbox.id, rule: 'exclusions' });
+        }
+        updates[message.id] = { mailboxIds, keywords: { ...message.keywords } };
+        labelsRemoved[labelName] = (labelsRemoved[labelName] || 0) + 1;
+        overrideCounts.removed++;
+        cleanupMessages.push(message);
+        plan.push({
+          id: message.id,
+          from: message.from?.[0]?.name || message.from?.[0]?.email || 'Unknown',
+          fromEmail: message.from?.[0]?.email || '',
+          subject: message.subject || '',
+          receivedAt: message.receivedAt,
+          changes
+        });
+      }
+    }
   }
   
+  // Thread rules' label changes go to the other messages of the thread, in and
+  // out of the scan, keeping to each sender's overrides. Trashed messages
+  // aren't labeled and a message isn't left in no folder.
+  const threadMessages = [];
+  const planById = new Map(plan.map(entry => [entry.id, entry]));
+  const propagatedIds = new Set();
+  for (const { message, ruleNumber, mailboxId, add } of threadActions) {
+    const labelName = mailboxIdToName[mailboxId];
+    for (const member of threadMembers.get(message.threadId) || []) {
+      if (member.id === message.id) continue;
+      const update = updates[member.id] || { mailboxIds: { ...member.mailboxIds }, keywords: { ...member.keywords } };
+      if (trashMailbox && update.mailboxIds[trashMailbox.id]) continue;
+      if (Boolean(update.mailboxIds[mailboxId]) === add) continue;
+      const memberEmail = member.from?.[0]?.email?.toLowerCase();
+      const overridden = add ? overrides.excluded.get(memberEmail) : overrides.allowed.get(memberEmail);
+      if (overridden?.toLowerCase() === labelName.toLowerCase()) {
+        overrideCounts.skipped++;
+        continue;
+      }
+      if (!add && Object.keys(update.mailboxIds).length === 1) continue;
+      
+      if (add) {
+        update.mailboxIds[mailboxId] = true;
+        threadCounts.labelsAdded[labelName] = (threadCounts.labelsAdded[labelName] || 0) + 1;
+      } else {
+        delete update.mailboxIds[mailboxId];
+        threadCounts.labelsRemoved[labelName] = (threadCounts.labelsRemoved[labelName] || 0) + 1;
+      }
+      propagatedIds.add(member.id);
+      const change = { action: add ? 'add-label' : 'remove-label', label: labelName, mailboxId, rule: ruleNumber, thread: true };
+      if (planById.has(member.id)) {
+        planById.get(member.id).changes.push(change);
+        continue;
+      }
+      updates[member.id] = update;
+      if (!scannedIds.has(member.id)) threadMessages.push(member);
+      const entry = {
+        id: member.id,
+        from: member.from?.[0]?.name || member.from?.[0]?.email || 'Unknown',
+        fromEmail: member.from?.[0]?.email || '',
+        subject: member.subject || '',
+        receivedAt: member.receivedAt,
+        changes: [change]
+      };
+      plan.push(entry);
+      planById.set(member.id, entry);
+    }
+  }
+  threadCounts.propagated = propagatedIds.size;
+  
   const elapsedSecs = ((Date.now() - startTime) / 1000).toFixed(1);
   const processedCount = messages.length;
+  summary.elapsedSecs = Number(elapsedSecs);
+  summary.processedCount = processedCount;
+  summary.changedCount = plan.length;
+  
+  // Dry run only writes the plan, leaving mailbox, state and senders alone.
+  // The plan keeps what the run would record, apply-plan records it.
+  if (dryRun) {
+    const messageFields = message => ({
+      id: message.id,
+      from: message.from,
+      subject: message.subject,
+      receivedAt: message.receivedAt,
+      mailboxIds: message.mailboxIds,
+      keywords: message.keywords
+    });
+    writePlan(rules, accountId, plan, 'process', {
+      startedAt: summary.startedAt,
+      ruleList: rules['rule-list'],
+      ruleMatches: ruleMatches.map(match => ({ ...match, message: messageFields(match.message) })),
+      labeledMessages: labeledMessages.map(({ message, label }) => ({ message: messageFields(message), label })),
+      cleanupIdsByEmail,
+      scanMailboxId: scanMailbox.id,
+      // The state the run started from, and the one it scanned up to
+      sinceState: loadSavedState(user, accountId, scanMailbox.id)?.emailState ?? null,
+      emailState: newState
+    });
+    console.log(`Dry run finished ${elapsedSecs} secs, ${processedCount} processed`);
+    for (const [label, count] of Object.entries(labelsAdded)) {
+      console.log(`  Would add    label to   ${count} messages:  ${label}`);
+    }
+    for (const [label, count] of Object.entries(labelsRemoved)) {
+      console.log(`  Would remove label from ${count} messages:  ${label}`);
+    }
+    for (const [keyword, count] of Object.entries(keywordsSet)) {
+      console.log(`  Would set    keyword on ${count} messages:  ${keyword}`);
+    }
+    for (const [keyword, count] of Object.entries(keywordsCleared)) {
+      console.log(`  Would clear  keyword on ${count} messages:  ${keyword}`);
+    }
+    for (const [ruleNumber, count] of Object.entries(ruleMatchCounts)) {
+      console.log(`  Rule ${ruleNumber} would match ${count} messages`);
+    }
+    logOverrideCounts(overrideCounts);
+    logThreadCounts(threadCounts, true);
+    console.log(`  Wrote plan for ${plan.length} messages to data/${user}/${PLAN_FILES.process}`);
+    return summary;
+  }
+  
+  // Apply updates, batched to the server's maxObjectsInSet
+  const { updated, notUpdated } = await jmap.setAll('Email', accountId, updates);
+  
+  // Journal every applied change so the run can be undone
+  const messagesById = new Map([...messages, ...threadMessages, ...cleanupMessages].map(message => [message.id, message]));
+  await appendJournal(user, plan.filter(entry => entry.id in updated).map(entry => {
+    const message = messagesById.get(entry.id);
+    return {
+      runId,
+      kind: 'process',
+      time: new Date().toISOString(),
+      messageId: entry.id,
+      from: entry.from,
+      subject: entry.subject,
+      rules: [...new Set(entry.changes.map(change => change.rule))],
+      before: { mailboxIds: message.mailboxIds, keywords: message.keywords || {} },
+      after: updates[entry.id]
+    };
+  }));
+  
+  // Per-rule counters for the rule report, dry runs aren't counted
+  await recordRuleStats({ user, ruleList: rules['rule-list'], matches: ruleMatches, updatedIds: Object.keys(updated) });
+  
+  await saveStateAfterRun(jmap, user, accountId, scanMailbox.id, newState, updated);
   
   console.log(`Scan finished ${elapsedSecs} secs, ${processedCount} processed`);
   
@@ -371,94 +858,42 @@ async function processMessages() {
     console.log(`  Removed label from ${count} messages:  ${label}`);
   }
   
-  // Save all subjects to file organized by label (rewrite entire file to avoid duplicates)
-  if (SAVE_SUBJECTS && Object.keys(subjectsByLabel).length > 0) {
-    const sections = [];
-    let totalSubjects = 0;
-    let newSubjectsCount = 0;
-    let skippedDuplicates = 0;
-    
-    // Build set of all existing fromNames across both files to check duplicates
-    // Duplicate checking is by from name only
-    const existingFromNames = new Set();
-    const subjectsContent = existsSync('subjects.txt') ? readFileSync('subjects.txt', 'utf8') : '';
-    const exclusionsContent = existsSync('exclusions.txt') ? readFileSync('exclusions.txt', 'utf8') : '';
-    
-    for (const content of [subjectsContent, exclusionsContent]) {
-      const lines = content.split('\n');
-      for (const line of lines) {
-        if (line.trim() && line.includes(' | ') && !line.match(/^=======.*=======$/)) {
-          const fromName = line.split(' | ')[0];
-          existingFromNames.add(fromName);
-        }
-      }
-    }
-    
-    // Get all labels sorted alphabetically
-    const allLabels = Object.keys(subjectsByLabel).sort();
-    
-    for (const label of allLabels) {
-      // Convert Set to sorted array
-      const fromNames = Array.from(subjectsByLabel[label]).sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
-      
-      if (fromNames.length > 0) {
-        // Reconstruct subject lines from the existing data
-        const subjectMap = {};
-        
-        // Parse existing subjects for this label from subjects.txt only
-        const lines = subjectsContent.split('\n');
-        let inCurrentLabel = false;
-        for (const line of lines) {
-          if (line.match(/^=======.*=======$/)) {
-            const lineLabel = line.replace(/^=======\s*/, '').replace(/\s*=======\s*$/, '');
-            inCurrentLabel = (lineLabel === label);
-          } else if (inCurrentLabel && line.trim() && line.includes(' | ')) {
-            const fromName = line.split(' | ')[0];
-            if (!subjectMap[fromName]) {
-              subjectMap[fromName] = line;
-            }
-          }
-        }
-        
-        // Add new subjects from this run only if not in either file
-        if (subjectLinesByLabel[label]) {
-          for (const subjectLine of subjectLinesByLabel[label]) {
-            const fromName = subjectLine.split(' | ')[0];
-            if (!existingFromNames.has(fromName)) {
-              subjectMap[fromName] = subjectLine;
-              existingFromNames.add(fromName);
-              newSubjectsCount++;
-            } else {
-              skippedDuplicates++;
-            }
-          }
-        }
-        
-        // Create sorted list of all subjects for this label
-        const allSubjects = fromNames.map(fromName => subjectMap[fromName]).filter(Boolean);
-        totalSubjects += allSubjects.length;
-        
-        if (allSubjects.length > 0) {
-          sections.push(`======= ${label} =======\n${allSubjects.join('\n')}`);
-        }
-      }
-    }
-    
-    if (sections.length > 0) {
-      const { writeFileSync } = await import('fs');
-      writeFileSync('subjects.txt', sections.join('\n\n') + '\n', 'utf8');
-      if (newSubjectsCount > 0) {
-        console.log(`  Saved ${newSubjectsCount} new subject(s) to subjects.txt`);
-      }
-      if (skippedDuplicates > 0) {
-        console.log(`  Skipped ${skippedDuplicates} duplicate(s) (from name already exists)`);
-      }
+  for (const [keyword, count] of Object.entries(keywordsSet)) {
+    console.log(`  Set     keyword on ${count} messages:  ${keyword}`);
+  }
+  
+  for (const [keyword, count] of Object.entries(keywordsCleared)) {
+    console.log(`  Cleared keyword on ${count} messages:  ${keyword}`);
+  }
+  
+  for (const [ruleNumber, count] of Object.entries(ruleMatchCounts)) {
+    console.log(`  Rule ${ruleNumber} matched ${count} messages`);
+  }
+  
+  logOverrideCounts(overrideCounts);
+  logThreadCounts(threadCounts, false);
+  
+  if (Object.keys(updated).length > 0) {
+    console.log(`  Journaled ${Object.keys(updated).length} changed messages as run ${runId}`);
+  }
+  
+  const failedIds = Object.keys(notUpdated);
+  summary.changedCount = Object.keys(updated).length;
+  summary.failedCount = failedIds.length;
+  if (failedIds.length > 0) {
+    console.log(`  Failed to update ${failedIds.length} messages:`);
+    for (const id of failedIds) {
+      const message = plan.find(m => m.id === id);
+      console.log(`    ${id} ${message.from} | ${message.subject}: ${describeSetError(notUpdated[id])}`);
     }
   }
+  
+  const newSendersCount = await saveRunSenders({
+    user, jmap, labeledMessages, cleanupIdsByEmail, notUpdated, time: summary.startedAt
+  });
+  if (newSendersCount > 0) {
+    console.log(`  Saved ${newSendersCount} new sender(s) to data/${user}/senders.json`);
+  }
+  
+  return summary;
 }
-
-// Run the processor
-processMessages().catch(error => {
-  console.error('Error:', error.message);
-  process.exit(1);
-});
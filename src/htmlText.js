@@ -0,0 +1,42 @@
+import { Parser } from 'htmlparser2';
+
+// Plain text of mail HTML, for rules matching on the body of HTML-only mail
+// Good enough to match words on, not for showing
+
+// Elements whose contents aren't text
+const SKIPPED_ELEMENTS = ['head', 'style', 'script', 'title', 'noscript'];
+// Tags that end a line of text
+const LINE_BREAK_TAGS = ['br', 'p', 'div', 'tr', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'hr', 'table'];
+// Tags between words, other tags such as b and span can be inside a word
+const SPACE_TAGS = ['td', 'th', 'img'];
+
+export function htmlToText(html) {
+  const parts = [];
+  // How many skipped elements the parser is inside
+  let skipDepth = 0;
+  const separate = name => {
+    if (LINE_BREAK_TAGS.includes(name)) parts.push('\n');
+    else if (SPACE_TAGS.includes(name)) parts.push(' ');
+  };
+
+  // The parser decodes entities and calls onclosetag for void and unclosed tags too
+  const parser = new Parser({
+    onopentag(name) {
+      if (SKIPPED_ELEMENTS.includes(name)) skipDepth++;
+      separate(name);
+    },
+    onclosetag(name) {
+      if (SKIPPED_ELEMENTS.includes(name)) skipDepth = Math.max(0, skipDepth - 1);
+      separate(name);
+    },
+    ontext(text) {
+      if (skipDepth === 0) parts.push(text);
+    }
+  });
+  parser.end(html);
+
+  return parts.join('')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ ?\n\s*/g, '\n')
+    .trim();
+}
@@ -0,0 +1,222 @@
+import fetch from 'node-fetch';
+
+const JMAP_SESSION_URL = 'https://api.fastmail.com/.well-known/jmap';
+const JMAP_USING = ['urn:ietf:params:jmap:core', 'urn:ietf:params:jmap:mail'];
+const MAX_RETRIES = 5;
+const RETRY_BASE_MS = 1000;
+const PUSH_PING_SECS = 300;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry 429 (rate limited) and 5xx responses
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+// Wait time for a retry, using the server's Retry-After when it sends one
+function retryDelay(response, attempt) {
+  const retryAfter = Number(response?.headers.get('retry-after'));
+  if (retryAfter > 0) return retryAfter * 1000;
+  return RETRY_BASE_MS * 2 ** attempt;
+}
+
+// Fetch with retries and exponential backoff
+async function fetchWithRetry(url, options) {
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      // Network errors are retried like 5xx responses
+      if (attempt >= MAX_RETRIES) throw error;
+    }
+
+    if (response && (response.ok || !isRetryable(response.status) || attempt >= MAX_RETRIES)) {
+      return response;
+    }
+
+    const delay = retryDelay(response, attempt);
+    const reason = response ? `${response.status} ${response.statusText}` : 'network error';
+    console.log(`JMAP ${reason}, retrying in ${(delay / 1000).toFixed(1)} secs`);
+    await sleep(delay);
+  }
+}
+
+// JMAP client for one account token
+// The session is fetched once and cached, requests go to the session's apiUrl
+export function createJmapClient(apiToken) {
+  let session = null;
+
+  async function getSession() {
+    if (session) return session;
+
+    const response = await fetchWithRetry(JMAP_SESSION_URL, {
+      headers: { 'Authorization': `Bearer ${apiToken}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`JMAP session request failed: ${response.status} ${response.statusText}`);
+    }
+
+    session = await response.json();
+    return session;
+  }
+
+  async function getAccountId() {
+    const { primaryAccounts } = await getSession();
+    return primaryAccounts['urn:ietf:params:jmap:mail'];
+  }
+
+  async function getCoreCapabilities() {
+    const { capabilities } = await getSession();
+    return capabilities['urn:ietf:params:jmap:core'];
+  }
+
+  // Send method calls, returning the arguments of each response in order
+  // A method-level error response throws an error with its JMAP error type
+  // using lists the capabilities, e.g. with submission for sending mail
+  async function request(methodCalls, using = JMAP_USING) {
+    const { apiUrl } = await getSession();
+
+    const response = await fetchWithRetry(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiToken}`
+      },
+      body: JSON.stringify({
+        using,
+        methodCalls
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`JMAP request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const { methodResponses } = await response.json();
+
+    return methodResponses.map(([name, args, callId]) => {
+      if (name === 'error') {
+        const method = methodCalls.find(call => call[2] === callId)?.[0] || callId;
+        const error = new Error(`${method} failed: ${args.type}${args.description ? ` - ${args.description}` : ''}`);
+        error.type = args.type;
+        throw error;
+      }
+      return args;
+    });
+  }
+
+  // Send a single method call and return its response arguments
+  async function call(method, args) {
+    const [result] = await request([[method, args, method]]);
+    return result;
+  }
+
+  // Type/get for any number of ids, split into maxObjectsInGet batches
+  // onBatch(fetchedCount, totalCount) is called after each batch
+  async function getAll(type, args, onBatch) {
+    const { maxObjectsInGet } = await getCoreCapabilities();
+    const result = { list: [], notFound: [], state: null };
+
+    for (let i = 0; i < args.ids.length; i += maxObjectsInGet) {
+      const batch = await call(`${type}/get`, { ...args, ids: args.ids.slice(i, i + maxObjectsInGet) });
+      result.list.push(...batch.list);
+      result.notFound.push(...(batch.notFound || []));
+      result.state = batch.state;
+      onBatch?.(result.list.length, args.ids.length);
+    }
+
+    return result;
+  }
+
+  // Type/set updates for any number of objects, split into maxObjectsInSet batches
+  // Returns the combined updated and notUpdated maps
+  async function setAll(type, accountId, update) {
+    const { maxObjectsInSet } = await getCoreCapabilities();
+    const ids = Object.keys(update);
+    const result = { updated: {}, notUpdated: {} };
+
+    for (let i = 0; i < ids.length; i += maxObjectsInSet) {
+      const batchUpdate = {};
+      for (const id of ids.slice(i, i + maxObjectsInSet)) {
+        batchUpdate[id] = update[id];
+      }
+
+      const batch = await call(`${type}/set`, { accountId, update: batchUpdate });
+      Object.assign(result.updated, batch.updated || {});
+      Object.assign(result.notUpdated, batch.notUpdated || {});
+    }
+
+    return result;
+  }
+
+  // Fetch a blob from the session's downloadUrl, returning the response to stream
+  async function download(blobId, { type = 'application/octet-stream', name = 'blob' } = {}) {
+    const { downloadUrl } = await getSession();
+    const accountId = await getAccountId();
+    const url = downloadUrl
+      .replace('{accountId}', encodeURIComponent(accountId))
+      .replace('{blobId}', encodeURIComponent(blobId))
+      .replace('{type}', encodeURIComponent(type))
+      .replace('{name}', encodeURIComponent(name));
+
+    const response = await fetchWithRetry(url, {
+      headers: { 'Authorization': `Bearer ${apiToken}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`JMAP download failed: ${response.status} ${response.statusText}`);
+    }
+    return response;
+  }
+
+  // Listen on the session's eventSourceUrl for push StateChange events
+  // onChange(changed) gets the changed map of accountId -> { type: state }
+  // Resolves when the server closes the connection, signal aborts it
+  async function listenForChanges(types, onChange, signal) {
+    const { eventSourceUrl } = await getSession();
+    const url = eventSourceUrl
+      .replace('{types}', types.join(','))
+      .replace('{closeafter}', 'no')
+      .replace('{ping}', String(PUSH_PING_SECS));
+
+    const response = await fetch(url, {
+      headers: {
+        'Accept': 'text/event-stream',
+        'Authorization': `Bearer ${apiToken}`
+      },
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`JMAP event source failed: ${response.status} ${response.statusText}`);
+    }
+
+    // Events are separated by a blank line, each line is "field: value"
+    let buffer = '';
+    for await (const chunk of response.body) {
+      buffer += chunk.toString().replace(/\r\n/g, '\n');
+
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const lines = buffer.slice(0, end).split('\n');
+        buffer = buffer.slice(end + 2);
+
+        const eventName = lines.find(line => line.startsWith('event:'))?.slice(6).trim();
+        const data = lines.filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n');
+
+        if (eventName === 'state' && data) {
+          onChange(JSON.parse(data).changed || {});
+        }
+      }
+    }
+  }
+
+  return { getSession, getAccountId, request, call, getAll, setAll, download, listenForChanges };
+}
+
+// One line description of a SetError for summaries
+export function describeSetError(error) {
+  return `${error.type}${error.description ? ` - ${error.description}` : ''}`;
+}
@@ -0,0 +1,174 @@
+import { readFile, appendFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { describeSetError } from './jmap.js';
+import { userDataPath, ensureUserDataDir } from './config.js';
+
+// Per-user file in data/<user>/
+const JOURNAL_FILE = 'journal.jsonl';
+const RUN_LIST_LIMIT = 50;
+
+// Run ids are the run start time to the millisecond and a random suffix, so
+// runs started together never share one, e.g. 2026-10-19T15-30-00-123-a1b2c3
+export function newRunId() {
+  const time = new Date().toISOString().replace(/Z$/, '').replace(/[:.]/g, '-');
+  return `${time}-${randomBytes(3).toString('hex')}`;
+}
+
+// Append one line per changed message
+// Entry: { runId, kind, time, messageId, from, subject, rules, before, after, undoOf }
+// before and after hold the message's mailboxIds and keywords
+export async function appendJournal(user, entries) {
+  if (entries.length === 0) return;
+  ensureUserDataDir(user);
+  const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+  await appendFile(userDataPath(user, JOURNAL_FILE), lines, 'utf8');
+}
+
+export async function readJournal(user) {
+  const journalPath = userDataPath(user, JOURNAL_FILE);
+  // No journal until the first run has changed something
+  if (!existsSync(journalPath)) return [];
+  const content = await readFile(journalPath, 'utf8');
+  return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+// Apply a JMAP patch object (mailboxIds/<id> or keywords/<name>) to a copy of a message state
+export function patchState(state, patch) {
+  const patched = {
+    mailboxIds: { ...state.mailboxIds },
+    keywords: { ...state.keywords }
+  };
+  for (const [path, value] of Object.entries(patch)) {
+    const [property, key] = path.split('/');
+    if (value) {
+      patched[property][key] = true;
+    } else {
+      delete patched[property][key];
+    }
+  }
+  return patched;
+}
+
+// Most recent runs first, with message and undo counts
+export async function listRuns(user) {
+  const entries = await readJournal(user);
+  const runs = new Map();
+
+  for (const entry of entries) {
+    if (!runs.has(entry.runId)) {
+      runs.set(entry.runId, {
+        runId: entry.runId,
+        kind: entry.kind,
+        time: entry.time,
+        undoOf: entry.undoOf || null,
+        messageCount: 0,
+        undoneCount: 0
+      });
+    }
+    runs.get(entry.runId).messageCount++;
+
+    if (entry.undoOf && runs.has(entry.undoOf)) {
+      runs.get(entry.undoOf).undoneCount++;
+    }
+  }
+
+  return Array.from(runs.values()).reverse().slice(0, RUN_LIST_LIMIT);
+}
+
+// Keys of mailboxIds and keywords that an entry changed
+function changedPaths(entry) {
+  const paths = [];
+  for (const property of ['mailboxIds', 'keywords']) {
+    const keys = new Set([...Object.keys(entry.before[property]), ...Object.keys(entry.after[property])]);
+    for (const key of keys) {
+      if (!!entry.before[property][key] !== !!entry.after[property][key]) {
+        paths.push([property, key]);
+      }
+    }
+  }
+  return paths;
+}
+
+// Revert the changes of a run, or of one message in it
+// Only the mailboxes and keywords the run changed are put back, and a message is
+// skipped when any of them has been changed again since the run
+export async function undoRun(jmap, user, runId, messageId = null) {
+  const entries = await readJournal(user);
+  const runEntries = entries.filter(entry =>
+    entry.runId === runId && (!messageId || entry.messageId === messageId));
+
+  if (runEntries.length === 0) {
+    throw new Error(`No journal entries for run ${runId}${messageId ? ` message ${messageId}` : ''}`);
+  }
+  if (runEntries[0].kind === 'undo') {
+    throw new Error(`Run ${runId} is an undo and can't be undone`);
+  }
+
+  const alreadyUndone = new Set(entries.filter(entry => entry.undoOf === runId).map(entry => entry.messageId));
+  const toUndo = runEntries.filter(entry => !alreadyUndone.has(entry.messageId));
+  const result = { runId: newRunId(), undone: [], skipped: [], alreadyUndone: runEntries.length - toUndo.length };
+
+  if (toUndo.length === 0) return result;
+
+  const accountId = await jmap.getAccountId();
+  const { list: currentMessages } = await jmap.getAll('Email', {
+    accountId,
+    ids: toUndo.map(entry => entry.messageId),
+    properties: ['id', 'mailboxIds', 'keywords']
+  });
+  const currentById = new Map(currentMessages.map(message => [message.id, message]));
+
+  const updates = {};
+  const undoEntries = {};
+
+  for (const entry of toUndo) {
+    const current = currentById.get(entry.messageId);
+    if (!current) {
+      result.skipped.push({ messageId: entry.messageId, subject: entry.subject, reason: 'message no longer exists' });
+      continue;
+    }
+
+    const patch = {};
+    let conflict = false;
+    for (const [property, key] of changedPaths(entry)) {
+      if (!!current[property]?.[key] !== !!entry.after[property][key]) {
+        conflict = true;
+        break;
+      }
+      patch[`${property}/${key}`] = entry.before[property][key] ? true : null;
+    }
+
+    if (conflict) {
+      result.skipped.push({ messageId: entry.messageId, subject: entry.subject, reason: 'changed again since the run' });
+      continue;
+    }
+
+    const before = { mailboxIds: current.mailboxIds, keywords: current.keywords || {} };
+    updates[entry.messageId] = patch;
+    undoEntries[entry.messageId] = {
+      runId: result.runId,
+      kind: 'undo',
+      time: new Date().toISOString(),
+      messageId: entry.messageId,
+      from: entry.from,
+      subject: entry.subject,
+      rules: entry.rules,
+      undoOf: runId,
+      before,
+      after: patchState(before, patch)
+    };
+  }
+
+  const { updated, notUpdated } = await jmap.setAll('Email', accountId, updates);
+
+  for (const [id, error] of Object.entries(notUpdated)) {
+    result.skipped.push({ messageId: id, subject: undoEntries[id].subject, reason: describeSetError(error) });
+  }
+
+  const journalEntries = Object.keys(updated).map(id => undoEntries[id]);
+  await appendJournal(user, journalEntries);
+  result.undone = journalEntries.map(entry => ({ messageId: entry.messageId, subject: entry.subject }));
+
+  return result;
+}
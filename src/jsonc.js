@@ -0,0 +1,151 @@
+// JSONC parser: JSON with // and /* */ comments and trailing commas
+// Comments are only recognized outside strings, so regexes and URLs keep their //
+
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+// Parse JSONC text
+// Returns { value, locate } where locate(path) gives the location of the value
+// at a key path, e.g. ['rule-list', 2, 'regex'], as { line, column, start, end }
+// with 1-based line and column. Arrays also get lastToken, the index of the last
+// character before their ] that isn't whitespace or a comment.
+// Syntax errors throw an error with line and column properties.
+export function parseJsonc(text) {
+  const starts = lineStarts(text);
+  const locations = new Map();
+  let index = 0;
+
+  function position(at) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (starts[middle] <= at) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low + 1, column: at - starts[low] + 1 };
+  }
+
+  function fail(message, at = index) {
+    const { line, column } = position(at);
+    const error = new Error(`Line ${line}, column ${column}: ${message}`);
+    error.line = line;
+    error.column = column;
+    throw error;
+  }
+
+  // Skip whitespace and comments
+  function skip() {
+    while (index < text.length) {
+      const char = text[index];
+      if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+        index++;
+      } else if (char === '/' && text[index + 1] === '/') {
+        const end = text.indexOf('\n', index);
+        index = end === -1 ? text.length : end;
+      } else if (char === '/' && text[index + 1] === '*') {
+        const end = text.indexOf('*/', index + 2);
+        if (end === -1) fail('Unterminated comment');
+        index = end + 2;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function parseString() {
+    const start = index;
+    index++;
+    while (text[index] !== '"') {
+      if (index >= text.length || text[index] === '\n') fail('Unterminated string', start);
+      if (text[index] === '\\') index++;
+      index++;
+    }
+    index++;
+    try {
+      return JSON.parse(text.slice(start, index));
+    } catch {
+      fail('Invalid string', start);
+    }
+  }
+
+  // Numbers are JSON's, so 01 is an error here rather than in JSON.parse
+  function parseLiteral() {
+    const start = index;
+    const match = /^(-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?|true|false|null)/.exec(text.slice(index, index + 64));
+    if (!match) fail(`Unexpected ${text[index] === undefined ? 'end of file' : `"${text[index]}"`}`);
+    index += match[0].length;
+    if (/^-?0\d/.test(text.slice(start, index + 1))) fail('Numbers can\'t have leading zeros', start);
+    return JSON.parse(match[0]);
+  }
+
+  function parseValue(path) {
+    skip();
+    const start = index;
+    let value;
+    let lastToken;
+
+    if (text[index] === '{') {
+      value = {};
+      index++;
+      skip();
+      while (text[index] !== '}') {
+        if (text[index] !== '"') fail('Expected a quoted key or }');
+        const keyStart = index;
+        const key = parseString();
+        if (Object.hasOwn(value, key)) fail(`Duplicate key "${key}"`, keyStart);
+        skip();
+        if (text[index] !== ':') fail('Expected :');
+        index++;
+        value[key] = parseValue([...path, key]);
+        skip();
+        if (text[index] === ',') {
+          index++;
+          skip();
+        } else if (text[index] !== '}') {
+          fail('Expected , or }');
+        }
+      }
+      index++;
+    } else if (text[index] === '[') {
+      value = [];
+      lastToken = index;
+      index++;
+      skip();
+      while (text[index] !== ']') {
+        value.push(parseValue([...path, value.length]));
+        lastToken = index - 1;
+        skip();
+        if (text[index] === ',') {
+          lastToken = index;
+          index++;
+          skip();
+        } else if (text[index] !== ']') {
+          fail('Expected , or ]');
+        }
+      }
+      index++;
+    } else if (text[index] === '"') {
+      value = parseString();
+    } else {
+      value = parseLiteral();
+    }
+
+    locations.set(JSON.stringify(path), { ...position(start), start, end: index, lastToken });
+    return value;
+  }
+
+  const value = parseValue([]);
+  skip();
+  if (index < text.length) fail('Unexpected text after the end');
+
+  return {
+    value,
+    locate: path => locations.get(JSON.stringify(path)) || null
+  };
+}
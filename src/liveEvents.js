@@ -0,0 +1,121 @@
+import { watch } from 'fs';
+import { userDataPath, ensureUserDataDir } from './config.js';
+import { loadSenders } from './senders.js';
+
+const SENDERS_FILE = 'senders.json';
+const WATCH_DEBOUNCE_MS = 200;     // a write is a temp file and a rename
+const KEEPALIVE_MS      = 30000;   // under nginx's 60 second proxy_read_timeout
+const RECONNECT_MS      = 5000;
+
+// Server-sent events for the web interface, per user:
+//   senders  { version, added: [record], changed: [record], removed: [email] }
+//            when senders.json changes, from a run in the host, a CLI run or a move
+//   run      { state: 'started' | 'finished', trigger, ... } from the scheduler
+// Records are the ones listSenders gives, with their email.
+// senders.json is only watched while a browser is connected for the user.
+// getClient(user) returns the user's JMAP client
+export function createLiveEvents({ getClient }) {
+  // user -> Set of open responses
+  const clients = {};
+  // user -> promise of { watcher, senders, timer }
+  const watched = {};
+
+  function send(user, type, data) {
+    for (const res of clients[user] || []) {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  }
+
+  // Records added, changed or removed between two loads of senders.json
+  function diffSenders(before, after) {
+    const withEmail = email => ({ email, ...after[email] });
+    const added = [];
+    const changed = [];
+    for (const email of Object.keys(after)) {
+      if (!before[email]) added.push(withEmail(email));
+      else if (JSON.stringify(before[email]) !== JSON.stringify(after[email])) changed.push(withEmail(email));
+    }
+    const removed = Object.keys(before).filter(email => !after[email]);
+    return { added, changed, removed };
+  }
+
+  async function sendSendersChange(user, state) {
+    try {
+      const { senders, version } = await loadSenders({ user, jmap: getClient(user) });
+      const { added, changed, removed } = diffSenders(state.senders, senders);
+      state.senders = senders;
+      if (added.length + changed.length + removed.length > 0) {
+        send(user, 'senders', { version, added, changed, removed });
+      }
+    } catch (error) {
+      console.error(`Reading senders for live updates of ${user} failed:`, error.message);
+    }
+  }
+
+  // Watch the user's data folder, senders.json is replaced by a rename so the
+  // file itself can't be watched
+  async function startWatching(user) {
+    ensureUserDataDir(user);
+    const { senders } = await loadSenders({ user, jmap: getClient(user) });
+    const state = { senders, timer: null, watcher: null };
+    state.watcher = watch(userDataPath(user, ''), (eventType, filename) => {
+      if (filename !== SENDERS_FILE) return;
+      clearTimeout(state.timer);
+      state.timer = setTimeout(() => sendSendersChange(user, state), WATCH_DEBOUNCE_MS);
+    });
+    return state;
+  }
+
+  function stopWatching(user) {
+    const watching = watched[user];
+    if (!watching) return;
+    delete watched[user];
+    // A watch that failed to start has nothing to close
+    watching.then(state => {
+      clearTimeout(state.timer);
+      state.watcher.close();
+    }, () => {});
+  }
+
+  function removeClient(user, res) {
+    if (!clients[user]?.delete(res)) return;
+    if (clients[user].size === 0) stopWatching(user);
+  }
+
+  // Keep a response open as an event stream until the browser goes away
+  // The client is registered before senders.json is first loaded, so a
+  // browser that goes away meanwhile is still removed
+  async function addClient(user, req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      // nginx would otherwise buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    const watching = watched[user] ||= startWatching(user);
+    clients[user] ||= new Set();
+    clients[user].add(res);
+    let keepalive = null;
+    req.on('close', () => {
+      clearInterval(keepalive);
+      removeClient(user, res);
+    });
+
+    try {
+      await watching;
+    } catch (error) {
+      console.error(`Live updates for ${user} failed:`, error.message);
+      if (watched[user] === watching) delete watched[user];
+      removeClient(user, res);
+      res.end();
+      return;
+    }
+    if (!clients[user]?.has(res)) return;
+    keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+  }
+
+  return { addClient, send };
+}
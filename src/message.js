@@ -0,0 +1,139 @@
+import sanitizeHtml from 'sanitize-html';
+
+const MESSAGE_PROPERTIES = [
+  'id', 'blobId', 'subject', 'from', 'to', 'cc', 'replyTo', 'receivedAt', 'size',
+  'htmlBody', 'textBody', 'bodyValues', 'attachments', 'headers'
+];
+
+// Tags and attributes kept from mail HTML, everything else is dropped
+// Scripts, forms, iframes, objects and event handler attributes never get through
+const ALLOWED_TAGS = sanitizeHtml.defaults.allowedTags.concat([
+  'img', 'font', 'center', 'u', 's', 'strike', 'big', 'small'
+]);
+const ALLOWED_ATTRIBUTES = {
+  '*':  ['style', 'align', 'valign', 'width', 'height', 'bgcolor', 'color', 'border',
+         'cellpadding', 'cellspacing', 'colspan', 'rowspan', 'dir', 'title'],
+  a:    ['href', 'name', 'target', 'rel'],
+  img:  ['src', 'alt'],
+  font: ['face', 'size', 'color']
+};
+
+const REMOTE_URL = /^(https?:)?\/\//i;
+// CSS that loads something, e.g. background-image: url(https://...)
+const STYLE_URL = /url\s*\(/i;
+
+// Host route that proxies a blob download
+function blobUrl(user, blobId, name, type) {
+  const query = new URLSearchParams({ name: name || 'attachment', type: type || 'application/octet-stream' });
+  return `/api/users/${encodeURIComponent(user)}/blob/${encodeURIComponent(blobId)}?${query}`;
+}
+
+// Sanitize mail HTML for the message viewer
+// cid: images point at the blob proxy, remote images are dropped unless loadImages
+// Returns { html, blockedImageCount }
+export function sanitizeMessageHtml(html, { cidUrls, loadImages }) {
+  let blockedImageCount = 0;
+
+  // Drop styles that load remote content, sanitize-html runs only one transform per tag
+  const blockStyleUrls = attribs => {
+    if (loadImages || !attribs.style || !STYLE_URL.test(attribs.style)) return attribs;
+    const { style, ...rest } = attribs;
+    blockedImageCount++;
+    return rest;
+  };
+
+  const sanitized = sanitizeHtml(html, {
+    allowedTags: ALLOWED_TAGS,
+    allowedAttributes: ALLOWED_ATTRIBUTES,
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+    transformTags: {
+      '*': (tagName, attribs) => ({ tagName, attribs: blockStyleUrls(attribs) }),
+      // Links open outside the app
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: { ...blockStyleUrls(attribs), target: '_blank', rel: 'noopener noreferrer' }
+      }),
+      img: (tagName, attribs) => {
+        attribs = blockStyleUrls(attribs);
+        const src = (attribs.src || '').trim();
+        if (src.toLowerCase().startsWith('cid:')) {
+          const url = cidUrls[src.slice(4).replace(/^<|>$/g, '')];
+          return { tagName, attribs: { ...attribs, src: url || '' } };
+        }
+        if (!loadImages && REMOTE_URL.test(src)) {
+          const { src: blocked, ...rest } = attribs;
+          blockedImageCount++;
+          return { tagName, attribs: rest };
+        }
+        return { tagName, attribs };
+      }
+    }
+  });
+
+  return { html: sanitized, blockedImageCount };
+}
+
+// Everything the message viewer shows for one message, or null when it doesn't exist
+// Only sanitized HTML leaves the host, attachments and inline images go through the blob proxy
+export async function getMessageView({ jmap, user, messageId, loadImages }) {
+  const accountId = await jmap.getAccountId();
+  const { list: [message] } = await jmap.call('Email/get', {
+    accountId,
+    ids: [messageId],
+    properties: MESSAGE_PROPERTIES,
+    fetchHTMLBodyValues: true,
+    fetchTextBodyValues: true
+  });
+
+  if (!message) return null;
+
+  const attachments = (message.attachments || []).map(part => ({
+    partId: part.partId,
+    name: part.name || '(unnamed)',
+    type: part.type,
+    size: part.size,
+    cid: part.cid || null,
+    disposition: part.disposition || null,
+    url: blobUrl(user, part.blobId, part.name, part.type)
+  }));
+
+  const cidUrls = {};
+  for (const attachment of attachments) {
+    if (attachment.cid) cidUrls[attachment.cid] = attachment.url;
+  }
+
+  const partValue = part => message.bodyValues?.[part.partId]?.value || '';
+  const htmlParts = (message.htmlBody || []).filter(part => part.type === 'text/html');
+
+  let bodyContent = '';
+  let bodyType = 'text';
+  let blockedImageCount = 0;
+
+  if (htmlParts.length > 0) {
+    const sanitized = sanitizeMessageHtml(htmlParts.map(partValue).join('\n'), { cidUrls, loadImages });
+    bodyContent = sanitized.html;
+    blockedImageCount = sanitized.blockedImageCount;
+    bodyType = 'html';
+  } else {
+    bodyContent = (message.textBody || []).map(partValue).join('\n');
+  }
+
+  return {
+    id: message.id,
+    subject: message.subject,
+    from: message.from,
+    to: message.to,
+    cc: message.cc,
+    replyTo: message.replyTo,
+    receivedAt: message.receivedAt,
+    size: message.size,
+    bodyContent,
+    bodyType,
+    imagesLoaded: !!loadImages,
+    blockedImageCount,
+    attachments,
+    headers: message.headers,
+    rawUrl: `/api/users/${encodeURIComponent(user)}/message/${encodeURIComponent(message.id)}/raw`
+  };
+}
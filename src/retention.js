@@ -0,0 +1,175 @@
+import { describeSetError } from './jmap.js';
+import { newRunId, appendJournal } from './journal.js';
+import { PLAN_FILES, queryAllIds, writePlan } from './fastmailProc.js';
+import { ensureUserDataDir } from './config.js';
+
+const DAY_MS = 86400000;
+// Flagged messages are pinned in Fastmail, retention never touches them
+const FLAGGED_KEYWORD = '$flagged';
+const SEEN_KEYWORD = '$seen';
+const MESSAGE_PROPERTIES = ['id', 'from', 'subject', 'receivedAt', 'mailboxIds', 'keywords'];
+
+// JMAP dates have no fractional seconds
+const utcDate = time => new Date(time).toISOString().replace(/\.\d+Z$/, 'Z');
+
+// The changes a policy makes to one message, as plan changes
+// mailboxIds and keywords are updated in place
+function policyChanges({ policy, mailboxIds, keywords, labelMailbox, scanMailbox, archiveMailbox, trashMailbox, mailboxIdToName }) {
+  const changes = [];
+  const removeMailbox = mailboxId => {
+    delete mailboxIds[mailboxId];
+    changes.push({ action: 'remove-label', label: mailboxIdToName[mailboxId], mailboxId, rule: 'retention' });
+  };
+  const addMailbox = mailbox => {
+    mailboxIds[mailbox.id] = true;
+    changes.push({ action: 'add-label', label: mailbox.name, mailboxId: mailbox.id, rule: 'retention' });
+  };
+
+  if (policy['mark-read'] && !keywords[SEEN_KEYWORD]) {
+    keywords[SEEN_KEYWORD] = true;
+    changes.push({ action: 'set-keyword', keyword: SEEN_KEYWORD, rule: 'retention' });
+  }
+  // Trash takes the message out of every other folder, like the trash action
+  if (policy.trash && !mailboxIds[trashMailbox.id]) {
+    Object.keys(mailboxIds).forEach(removeMailbox);
+    addMailbox(trashMailbox);
+  }
+  // Archive moves it out of the policy's label folder, and the scan folder if
+  // it's still there, to Archive
+  if (policy.archive && mailboxIds[labelMailbox.id]) {
+    [labelMailbox.id, scanMailbox.id].filter(id => mailboxIds[id]).forEach(removeMailbox);
+    if (!mailboxIds[archiveMailbox.id]) addMailbox(archiveMailbox);
+  }
+  return changes;
+}
+
+// Apply the retention policies of rules.jsonc to their label folders
+// Each policy is its own query of the folder for messages received before
+// older-than-days ago that aren't flagged. dryRun writes the plan file instead.
+export async function applyRetention({ rules, jmap, dryRun = false }) {
+  const user = rules.user;
+  const policies = rules.retention || {};
+  console.log('');
+  console.log(`Retention for ${user} ...${dryRun ? ' (dry run)' : ''}`);
+  // Users without policies are skipped, the command runs for every user
+  if (Object.keys(policies).length === 0) {
+    console.log('  No retention policies');
+    return null;
+  }
+
+  const startTime = Date.now();
+  const runId = newRunId();
+  const accountId = await jmap.getAccountId();
+  const { list: mailboxes } = await jmap.call('Mailbox/get', { accountId, properties: ['id', 'name', 'role'] });
+  const mailboxFor = name => {
+    const mailbox = mailboxes.find(mb => mb.name.toLowerCase() === name.toLowerCase());
+    if (!mailbox) throw new Error(`Folder not found: ${name}`);
+    return mailbox;
+  };
+  const mailboxForRole = role => {
+    const mailbox = mailboxes.find(mb => mb.role === role);
+    if (!mailbox) throw new Error(`No ${role} folder for ${user}`);
+    return mailbox;
+  };
+  const mailboxIdToName = Object.fromEntries(mailboxes.map(mb => [mb.id, mb.name]));
+  const scanMailbox = mailboxFor(rules['scan-folder']);
+  const usesRole = action => Object.values(policies).some(policy => policy[action]);
+  const archiveMailbox = usesRole('archive') ? mailboxForRole('archive') : null;
+  const trashMailbox = usesRole('trash') ? mailboxForRole('trash') : null;
+
+  // Per label: the policy's days, messages older than that, flagged ones kept and messages changed
+  const labelCounts = {};
+  const updates = {};
+  const plan = [];
+  const messagesById = new Map();
+
+  for (const [label, policy] of Object.entries(policies)) {
+    const mailbox = mailboxFor(label);
+    const conditions = [
+      { inMailbox: mailbox.id },
+      { before: utcDate(startTime - policy['older-than-days'] * DAY_MS) }
+    ];
+    const ids = await queryAllIds(jmap, accountId, { operator: 'AND', conditions: [...conditions, { notKeyword: FLAGGED_KEYWORD }] });
+    const { total: flaggedCount } = await jmap.call('Email/query', {
+      accountId,
+      filter: { operator: 'AND', conditions: [...conditions, { hasKeyword: FLAGGED_KEYWORD }] },
+      limit: 1,
+      calculateTotal: true
+    });
+    const counts = { olderThanDays: policy['older-than-days'], older: ids.length + flaggedCount, flagged: flaggedCount, changed: 0 };
+    labelCounts[mailbox.name] = counts;
+
+    const { list: messages } = await jmap.getAll('Email', { accountId, ids, properties: MESSAGE_PROPERTIES });
+    for (const message of messages) {
+      // A message in two retention folders gets both policies in one update
+      const update = updates[message.id] || { mailboxIds: { ...message.mailboxIds }, keywords: { ...message.keywords } };
+      const changes = policyChanges({
+        policy, ...update, labelMailbox: mailbox, scanMailbox, archiveMailbox, trashMailbox, mailboxIdToName
+      });
+      if (changes.length === 0) continue;
+      counts.changed++;
+      messagesById.set(message.id, message);
+      if (updates[message.id]) {
+        plan.find(entry => entry.id === message.id).changes.push(...changes);
+        continue;
+      }
+      updates[message.id] = update;
+      plan.push({
+        id: message.id,
+        from: message.from?.[0]?.name || message.from?.[0]?.email || 'Unknown',
+        fromEmail: message.from?.[0]?.email || '',
+        subject: message.subject || '',
+        receivedAt: message.receivedAt,
+        changes
+      });
+    }
+  }
+
+  const elapsedSecs = ((Date.now() - startTime) / 1000).toFixed(1);
+  const summary = { runId, user, dryRun, labelCounts, changedCount: plan.length, failedCount: 0 };
+  const logCounts = verb => {
+    for (const [label, counts] of Object.entries(labelCounts)) {
+      console.log(`  ${label}: ${counts.older} older than ${counts.olderThanDays} days, ` +
+        `${counts.flagged} flagged kept, ${counts.changed} ${verb}`);
+    }
+  };
+
+  // Dry run only writes the plan, its own file so a processor plan waiting for
+  // review isn't replaced. apply-plan --retention applies it.
+  if (dryRun) {
+    ensureUserDataDir(user);
+    writePlan(rules, accountId, plan, 'retention');
+    console.log(`Retention dry run finished ${elapsedSecs} secs`);
+    logCounts('would change');
+    console.log(`  Wrote plan for ${plan.length} messages to data/${user}/${PLAN_FILES.retention}`);
+    return summary;
+  }
+
+  const { updated, notUpdated } = await jmap.setAll('Email', accountId, updates);
+  await appendJournal(user, plan.filter(entry => entry.id in updated).map(entry => {
+    const message = messagesById.get(entry.id);
+    return {
+      runId,
+      kind: 'retention',
+      time: new Date().toISOString(),
+      messageId: entry.id,
+      from: entry.from,
+      subject: entry.subject,
+      rules: ['retention'],
+      before: { mailboxIds: message.mailboxIds, keywords: message.keywords || {} },
+      after: updates[entry.id]
+    };
+  }));
+
+  console.log(`Retention finished ${elapsedSecs} secs`);
+  logCounts('changed');
+  summary.changedCount = Object.keys(updated).length;
+  summary.failedCount = Object.keys(notUpdated).length;
+  for (const [id, error] of Object.entries(notUpdated)) {
+    console.log(`  Not updated ${id}: ${describeSetError(error)}`);
+  }
+  if (summary.changedCount > 0) {
+    console.log(`  Journaled ${summary.changedCount} changed messages as run ${runId}`);
+  }
+  return summary;
+}
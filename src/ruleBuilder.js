@@ -0,0 +1,95 @@
+import { RULE_MESSAGE_PROPERTIES, testCondition } from './rules.js';
+import { classifyMessages } from './classifier.js';
+
+// How many of the newest scan folder messages a rule preview is tested against
+const PREVIEW_MESSAGE_COUNT = 200;
+const PREVIEW_SAMPLE_COUNT = 10;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rule conditions that can be made from a sender, by kind
+export const SENDER_RULE_KINDS = {
+  'from':    value => ({ from: true, exact: value }),
+  'domain':  value => ({ from: true, regex: `@${escapeRegex(value)}$` }),
+  'list-id': value => ({ header: 'List-Id', contains: value })
+};
+
+// Validate a { kind, value, label } request, returning an error message or null
+export function senderRuleError({ kind, value, label }) {
+  if (!SENDER_RULE_KINDS[kind]) return `Invalid kind, use ${Object.keys(SENDER_RULE_KINDS).join(', ')}`;
+  if (typeof value !== 'string' || !value.trim()) return 'Missing value';
+  if (typeof label !== 'string' || !label.trim()) return 'Missing label';
+  return null;
+}
+
+export function buildSenderRule({ kind, value, label }) {
+  return { ...SENDER_RULE_KINDS[kind](value.trim().toLowerCase()), 'add-label': label.trim() };
+}
+
+// The rules a message's sender could get: by from address, sender domain and List-Id
+// Returns null when the message doesn't exist
+export async function proposeSenderRules({ jmap, messageId }) {
+  const accountId = await jmap.getAccountId();
+  const { list: [message] } = await jmap.call('Email/get', {
+    accountId,
+    ids: [messageId],
+    properties: ['id', 'from', 'header:List-Id:asText']
+  });
+  if (!message) return null;
+
+  const proposals = [];
+  const email = message.from?.[0]?.email?.toLowerCase();
+  if (email) {
+    proposals.push({ kind: 'from', value: email });
+    proposals.push({ kind: 'domain', value: email.split('@')[1] });
+  }
+
+  // List-Id: "Name <list.example.com>", the id is the part in angle brackets
+  const listId = message['header:List-Id:asText']?.trim();
+  if (listId) {
+    const id = listId.match(/<([^>]+)>/)?.[1] || listId;
+    proposals.push({ kind: 'list-id', value: id.toLowerCase() });
+  }
+
+  return {
+    from: message.from?.[0] || null,
+    proposals: proposals.map(proposal => ({ ...proposal, condition: SENDER_RULE_KINDS[proposal.kind](proposal.value) }))
+  };
+}
+
+// Count the newest scan folder messages a rule would match, listing up to sampleCount of them
+export async function previewRule({ jmap, rules, rule, count = PREVIEW_MESSAGE_COUNT, sampleCount = PREVIEW_SAMPLE_COUNT }) {
+  const accountId = await jmap.getAccountId();
+  const { list: mailboxes } = await jmap.call('Mailbox/get', { accountId, properties: ['id', 'name'] });
+  const scanMailbox = mailboxes.find(mb => mb.name.toLowerCase() === rules['scan-folder'].toLowerCase());
+  if (!scanMailbox) {
+    throw new Error(`Folder not found: ${rules['scan-folder']}`);
+  }
+
+  const { ids } = await jmap.call('Email/query', {
+    accountId,
+    filter: { inMailbox: scanMailbox.id },
+    sort: [{ property: 'receivedAt', isAscending: false }],
+    limit: count
+  });
+
+  const { list: messages } = await jmap.getAll('Email', {
+    accountId,
+    ids,
+    properties: RULE_MESSAGE_PROPERTIES,
+    fetchTextBodyValues: true
+  });
+  await classifyMessages({ user: rules.user, ruleList: [rule], messages });
+
+  const matches = messages.filter(message => testCondition(message, rule));
+  return {
+    checked: messages.length,
+    matched: matches.length,
+    samples: matches.slice(0, sampleCount).map(message => ({
+      id: message.id,
+      from: message.from?.[0]?.email || '',
+      subject: message.subject || '',
+      receivedAt: message.receivedAt
+    }))
+  };
+}
@@ -0,0 +1,291 @@
+import { readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { userDataPath, ensureUserDataDir } from './config.js';
+import { RULE_FIELDS, RULE_OPERATORS, DEFAULT_MIN_CONFIDENCE, toList, ruleActions } from './rules.js';
+
+// Per-user file in data/<user>/
+const RULE_STATS_FILE = 'rule-stats.json';
+
+// Rules are counted by their JSON, so moving a rule keeps its counts and
+// editing it starts them again. A second copy of the same rule is counted on
+// its own, as JSON#2.
+function ruleKeys(ruleList) {
+  const copies = {};
+  return ruleList.map(rule => {
+    const json = JSON.stringify(rule);
+    copies[json] = (copies[json] || 0) + 1;
+    return copies[json] === 1 ? json : `${json}#${copies[json]}`;
+  });
+}
+
+// Counters per rule, kept across runs
+// { rules: { rule key: { since, matches, modified, lastMatched, overlaps, conflicts } } }
+// overlaps:  { otherRuleKey: { label, count } }, both rules added the label
+// conflicts: { otherRuleKey: { label, count, lastSeen, messageId, subject } },
+//            one rule added the label and the other removed it
+// Pairs are kept on the rule that came first in rule-list
+export async function loadRuleStats(user) {
+  const filepath = userDataPath(user, RULE_STATS_FILE);
+  // No file until the first run
+  if (!existsSync(filepath)) return { rules: {} };
+  return JSON.parse(await readFile(filepath, 'utf8'));
+}
+
+// Labels a rule adds and removes
+const addedLabels = rule => [rule['add-label'], rule['move-to']].filter(Boolean);
+const removedLabels = rule => [rule['remove-label']].filter(Boolean);
+
+// The labels of first that are also in second, ignoring case
+const sharedLabels = (first, second) =>
+  first.filter(label => second.some(other => other.toLowerCase() === label.toLowerCase()));
+
+// Whether a plan change differs from the message as it was before the run
+function changeTakesEffect(message, change) {
+  if (change.action === 'add-label') return !message.mailboxIds?.[change.mailboxId];
+  if (change.action === 'remove-label') return Boolean(message.mailboxIds?.[change.mailboxId]);
+  if (change.action === 'set-keyword') return !message.keywords?.[change.keyword];
+  if (change.action === 'remove-keyword') return Boolean(message.keywords?.[change.keyword]);
+  return false;
+}
+
+// Add a run's rule matches to the saved counters
+// matches: [{ message, rules: [ruleNumber], changes: [plan change] }] for each
+// message at least one rule matched. updatedIds are the messages the server changed.
+// Counters for rules no longer in ruleList are dropped.
+export async function recordRuleStats({ user, ruleList, matches, updatedIds }) {
+  const saved = await loadRuleStats(user);
+  const now = new Date().toISOString();
+  const updated = new Set(updatedIds);
+  const keys = ruleKeys(ruleList);
+
+  const stats = { rules: {} };
+  for (const key of keys) {
+    stats.rules[key] = saved.rules[key] || { since: now, matches: 0, modified: 0, lastMatched: null, overlaps: {}, conflicts: {} };
+  }
+
+  for (const { message, rules: ruleNumbers, changes } of matches) {
+    for (const ruleNumber of ruleNumbers) {
+      const entry = stats.rules[keys[ruleNumber - 1]];
+      entry.matches++;
+      entry.lastMatched = now;
+      if (updated.has(message.id) &&
+          changes.some(change => change.rule === ruleNumber && changeTakesEffect(message, change))) {
+        entry.modified++;
+      }
+    }
+
+    // Pairs of matched rules that added the same label, or added and removed one
+    for (const [index, first] of ruleNumbers.entries()) {
+      for (const second of ruleNumbers.slice(index + 1)) {
+        const [firstRule, secondRule] = [ruleList[first - 1], ruleList[second - 1]];
+        const entry = stats.rules[keys[first - 1]];
+        const otherKey = keys[second - 1];
+
+        for (const label of sharedLabels(addedLabels(firstRule), addedLabels(secondRule))) {
+          const overlap = entry.overlaps[otherKey] ||= { label, count: 0 };
+          overlap.count++;
+        }
+
+        const conflicting = [
+          ...sharedLabels(addedLabels(firstRule), removedLabels(secondRule)),
+          ...sharedLabels(removedLabels(firstRule), addedLabels(secondRule))
+        ];
+        for (const label of conflicting) {
+          const conflict = entry.conflicts[otherKey] ||= { label, count: 0 };
+          conflict.count++;
+          conflict.lastSeen = now;
+          conflict.messageId = message.id;
+          conflict.subject = message.subject || '';
+        }
+      }
+    }
+  }
+
+  ensureUserDataDir(user);
+  await writeFile(userDataPath(user, RULE_STATS_FILE), JSON.stringify(stats, null, 2) + '\n', 'utf8');
+}
+
+// Which fields a condition's text comes from, e.g. "header:list-id,subject"
+function fieldsOf(condition) {
+  return RULE_FIELDS.filter(field => condition[field])
+    .map(field => field === 'header' ? `header:${condition.header.toLowerCase()}` : field)
+    .join(',');
+}
+
+// Lists of strings a condition's text must contain at least one of
+function containsLists(condition) {
+  return ['contains', 'one-of']
+    .filter(operator => condition[operator] !== undefined)
+    .map(operator => toList(condition[operator]).map(value => value.toLowerCase()));
+}
+
+// Whether any text passing the flat operators of condition passes operator with value
+function operatorImplied(condition, operator, value) {
+  const exact = condition.exact?.toLowerCase();
+  const lists = containsLists(condition);
+  const nonEmpty = condition['not-empty'] === true || condition.empty === false ||
+    (exact !== undefined && exact !== '') ||
+    condition['more-than'] !== undefined || condition['less-than'] !== undefined ||
+    lists.some(list => list.length > 0 && list.every(item => item !== ''));
+  const empty = condition.empty === true || condition['not-empty'] === false || exact === '';
+
+  switch (operator) {
+    case 'contains':
+    case 'one-of': {
+      const required = toList(value).map(item => item.toLowerCase());
+      if (exact !== undefined && required.some(item => exact.includes(item))) return true;
+      return lists.some(list => list.length > 0 && list.every(item => required.some(part => item.includes(part))));
+    }
+    case 'exact':
+      return exact === value.toLowerCase();
+    case 'not-exact':
+      return exact !== undefined && exact !== value.toLowerCase();
+    case 'regex':
+      return condition.regex === value;
+    case 'empty':
+      return value ? empty : nonEmpty;
+    case 'not-empty':
+      return value ? nonEmpty : empty;
+    case 'more-than':
+      return condition['more-than'] >= value;
+    case 'less-than':
+      return condition['less-than'] <= value;
+    default:
+      return false;
+  }
+}
+
+// Whether every message matching condition also matches by, as far as can be
+// told from the rules alone. False means it couldn't be shown, not that it's wrong.
+export function conditionImplies(condition, by) {
+  // Matching condition means matching each of its all children
+  if ((condition.all || []).some(child => conditionImplies(child, by))) return true;
+
+  if (by.not) return false;
+  if (by.all && !by.all.every(child => conditionImplies(condition, child))) return false;
+  if (by.any && !by.any.some(child => conditionImplies(condition, child))) return false;
+
+  // The same classifier label with at least the confidence
+  if (by.classifier !== undefined) {
+    if (condition.classifier?.toLowerCase() !== by.classifier.toLowerCase()) return false;
+    const minConfidence = c => c['min-confidence'] ?? DEFAULT_MIN_CONFIDENCE;
+    if (minConfidence(condition) < minConfidence(by)) return false;
+  }
+
+  // With no operators the flat part of by passes every message
+  const operators = RULE_OPERATORS.filter(operator => by[operator] !== undefined);
+  if (operators.length === 0) return true;
+  if (fieldsOf(condition) !== fieldsOf(by)) return false;
+  return operators.every(operator => operatorImplied(condition, operator, by[operator]));
+}
+
+// Values listed twice in the contains / one-of lists of a condition and its groups
+function duplicateValues(condition, path = '') {
+  const duplicates = [];
+  for (const operator of ['contains', 'one-of']) {
+    if (!Array.isArray(condition[operator])) continue;
+    const seen = new Set();
+    const repeated = new Set();
+    for (const value of condition[operator]) {
+      const lower = value.toLowerCase();
+      if (seen.has(lower)) repeated.add(value);
+      seen.add(lower);
+    }
+    if (repeated.size > 0) {
+      duplicates.push({ path: `${path}${operator}`, values: [...repeated] });
+    }
+  }
+  for (const group of ['all', 'any', 'not']) {
+    toList(condition[group]).forEach((child, index) => {
+      duplicates.push(...duplicateValues(child, `${path}${group}[${index}].`));
+    });
+  }
+  return duplicates;
+}
+
+// Hit counters and problems for a user's rule-list
+// - neverMatched: counted rules that haven't matched a message yet
+// - shadowed: rules every matching message of which an earlier stop rule stops first,
+//   a stop ends the rules of that message only, as in processMessages
+// - redundant: rules an earlier rule with the same actions always matches first
+// - duplicateValues: values listed twice in one contains or one-of list
+// - overlaps / conflicts: rule pairs that matched the same messages and added
+//   the same label, or added and removed one
+export async function buildRuleReport({ user, ruleList }) {
+  const stats = await loadRuleStats(user);
+  const keys = ruleKeys(ruleList);
+  const numberOf = key => keys.indexOf(key) + 1;
+
+  const rules = ruleList.map((rule, index) => {
+    const entry = stats.rules[keys[index]];
+    return {
+      ruleNumber: index + 1,
+      rule,
+      actions: ruleActions(rule),
+      counted: Boolean(entry),
+      since: entry?.since || null,
+      matches: entry?.matches || 0,
+      modified: entry?.modified || 0,
+      lastMatched: entry?.lastMatched || null
+    };
+  });
+
+  const report = {
+    rules,
+    neverMatched: rules.filter(rule => rule.counted && rule.matches === 0).map(rule => rule.ruleNumber),
+    shadowed: [],
+    redundant: [],
+    duplicateValues: [],
+    overlaps: [],
+    conflicts: []
+  };
+
+  ruleList.forEach((rule, index) => {
+    const earlier = ruleList.slice(0, index);
+    const stopIndex = earlier.findIndex(other => other.stop && conditionImplies(rule, other));
+    if (stopIndex !== -1) {
+      report.shadowed.push({ ruleNumber: index + 1, by: stopIndex + 1 });
+    }
+
+    const actions = ruleActions(rule).join(', ');
+    const sameIndex = earlier.findIndex(other => ruleActions(other).join(', ') === actions && conditionImplies(rule, other));
+    if (stopIndex === -1 && sameIndex !== -1) {
+      report.redundant.push({ ruleNumber: index + 1, by: sameIndex + 1 });
+    }
+
+    for (const duplicate of duplicateValues(rule)) {
+      report.duplicateValues.push({ ruleNumber: index + 1, ...duplicate });
+    }
+
+    // Pairs with a rule that's no longer in rule-list are left out
+    const entry = stats.rules[keys[index]];
+    const pair = otherKey => [index + 1, numberOf(otherKey)].sort((a, b) => a - b);
+    for (const [otherKey, overlap] of Object.entries(entry?.overlaps || {})) {
+      if (numberOf(otherKey)) report.overlaps.push({ rules: pair(otherKey), ...overlap });
+    }
+    for (const [otherKey, conflict] of Object.entries(entry?.conflicts || {})) {
+      if (numberOf(otherKey)) report.conflicts.push({ rules: pair(otherKey), ...conflict });
+    }
+  });
+
+  return report;
+}
+
+// One readable line per problem in a rule report
+export function ruleReportFindings(report) {
+  const day = time => time.slice(0, 10);
+  return [
+    ...report.neverMatched.map(ruleNumber =>
+      `Rule ${ruleNumber} has never matched (counted since ${day(report.rules[ruleNumber - 1].since)})`),
+    ...report.shadowed.map(({ ruleNumber, by }) =>
+      `Rule ${ruleNumber} can never run, rule ${by} matches all its messages first and stops`),
+    ...report.redundant.map(({ ruleNumber, by }) =>
+      `Rule ${ruleNumber} is redundant, rule ${by} matches all its messages first with the same actions`),
+    ...report.duplicateValues.map(({ ruleNumber, path, values }) =>
+      `Rule ${ruleNumber} lists ${values.map(value => JSON.stringify(value)).join(', ')} twice in ${path}`),
+    ...report.overlaps.map(({ rules: [first, second], label, count }) =>
+      `Rules ${first} and ${second} overlap, both added ${label} to ${count} messages`),
+    ...report.conflicts.map(({ rules: [first, second], label, count, subject }) =>
+      `Rules ${first} and ${second} conflict, one added and one removed ${label} on ${count} messages, last "${subject}"`)
+  ];
+}
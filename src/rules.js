@@ -0,0 +1,230 @@
+// Rule engine for rules.jsonc rule-list entries
+import { htmlToText } from './htmlText.js';
+
+// Message properties the rule engine reads
+export const RULE_MESSAGE_PROPERTIES = [
+  'id', 'threadId', 'subject', 'from', 'to', 'cc', 'replyTo', 'headers', 'keywords', 'mailboxIds', 'receivedAt',
+  'size', 'hasAttachment', 'attachments', 'textBody', 'bodyValues'
+];
+
+const DAY_MS = 86400000;
+
+export function toList(value) {
+  if (Array.isArray(value)) return [...value];
+  return value ? [value] : [];
+}
+
+const addressEmails = addresses => addresses?.map(address => address.email).join(' ') || '';
+
+// Every value of a header, a header can appear more than once
+const headerValues = (message, name) => (message.headers || [])
+  .filter(header => header.name.toLowerCase() === name.toLowerCase())
+  .map(header => header.value.trim())
+  .join(' ');
+
+// The text parts of the body, JMAP gives the HTML part in textBody when
+// there's no plain text one
+function bodyText(message) {
+  return (message.textBody || []).map(part => {
+    const value = message.bodyValues?.[part.partId]?.value || '';
+    return part.type === 'text/html' ? htmlToText(value) : value;
+  }).join('\n');
+}
+
+// The text each boolean field of a condition gives for a message
+// size-kb and age-days are numbers, for the more-than and less-than operators
+const FIELD_TEXT = {
+  'from':            message => message.from?.[0]?.email || '',
+  'from-domain':     message => message.from?.[0]?.email?.split('@')[1] || '',
+  'from-name':       message => message.from?.[0]?.name || '',
+  'to':              message => addressEmails(message.to),
+  'cc':              message => addressEmails(message.cc),
+  'reply-to':        message => addressEmails(message.replyTo),
+  'subject':         message => message.subject || '',
+  'body':            bodyText,
+  // "Name <list.example.com>", the id is the part in angle brackets
+  'list-id':         message => {
+    const listId = headerValues(message, 'List-Id');
+    return listId.match(/<([^>]+)>/)?.[1] || listId;
+  },
+  'attachment-name': message => (message.attachments || []).map(part => part.name || '').join(' ').trim(),
+  'attachment-type': message => (message.attachments || []).map(part => part.type || '').join(' ').trim(),
+  'has-attachment':  message => String(Boolean(message.hasAttachment || message.attachments?.length)),
+  'size-kb':         message => String(Math.round((message.size || 0) / 1024)),
+  'age-days':        message => String(Math.floor((Date.now() - Date.parse(message.receivedAt)) / DAY_MS))
+};
+
+// The text a condition's operators test, lowercased, from each of its fields
+// joined with |
+export function getTextString(message, rule) {
+  const parts = [];
+  
+  if (rule.header) {
+    parts.push(headerValues(message, rule.header));
+  }
+  
+  for (const [field, text] of Object.entries(FIELD_TEXT)) {
+    if (rule[field]) parts.push(text(message));
+  }
+  
+  return parts.join('|').toLowerCase();
+}
+
+export function testRule(textString, rule) {
+  if (rule.empty !== undefined) {
+    if (rule.empty && textString !== '') return false;
+    if (!rule.empty && textString === '') return false;
+  }
+  
+  if (rule['not-empty'] !== undefined) {
+    if (rule['not-empty'] && textString === '') return false;
+    if (!rule['not-empty'] && textString !== '') return false;
+  }
+  
+  if (rule.exact !== undefined) {
+    if (textString !== rule.exact.toLowerCase()) return false;
+  }
+  
+  if (rule['not-exact'] !== undefined) {
+    if (textString === rule['not-exact'].toLowerCase()) return false;
+  }
+  
+  if (rule.regex !== undefined) {
+    const regex = new RegExp(rule.regex, 'i');
+    if (!regex.test(textString)) return false;
+  }
+  
+  if (rule.contains !== undefined) {
+    if (Array.isArray(rule.contains)) {
+      const found = rule.contains.some(str => textString.includes(str.toLowerCase()));
+      if (!found) return false;
+    } else {
+      if (!textString.includes(rule.contains.toLowerCase())) return false;
+    }
+  }
+  
+  if (rule['one-of'] !== undefined) {
+    const found = rule['one-of'].some(str => textString.includes(str.toLowerCase()));
+    if (!found) return false;
+  }
+  
+  // Text that isn't a number fails both
+  const number = textString.trim() === '' ? NaN : Number(textString);
+  if (rule['more-than'] !== undefined) {
+    if (!(number > rule['more-than'])) return false;
+  }
+  
+  if (rule['less-than'] !== undefined) {
+    if (!(number < rule['less-than'])) return false;
+  }
+  
+  return true;
+}
+
+// A classifier condition's confidence when none is given
+export const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// Whether the classifier puts a message in a condition's classifier label with
+// at least its min-confidence. classifyMessages in classifier.js sets
+// message.classification before rules with a classifier condition are tested.
+function classifierMatches(message, condition) {
+  if (!message.classification) {
+    throw new Error(`Message ${message.id} wasn't classified for the classifier condition "${condition.classifier}"`);
+  }
+  const confidence = message.classification.probabilities[condition.classifier.toLowerCase()] || 0;
+  return confidence >= (condition['min-confidence'] ?? DEFAULT_MIN_CONFIDENCE);
+}
+
+// Test a rule or condition against a message
+// all / any / not hold nested conditions, each with its own field and operator
+// Any flat field and operator on the same object must also match
+export function testCondition(message, condition) {
+  if (condition.all && !condition.all.every(c => testCondition(message, c))) return false;
+  
+  if (condition.any && !condition.any.some(c => testCondition(message, c))) return false;
+  
+  if (condition.not) {
+    const negated = Array.isArray(condition.not) ? condition.not : [condition.not];
+    if (negated.some(c => testCondition(message, c))) return false;
+  }
+  
+  if (condition.classifier !== undefined && !classifierMatches(message, condition)) return false;
+  
+  return testRule(getTextString(message, condition), condition);
+}
+
+// The fields a condition builds its text from and the operators that test it
+export const RULE_FIELDS = ['header', ...Object.keys(FIELD_TEXT)];
+export const RULE_OPERATORS = ['empty', 'not-empty', 'exact', 'not-exact', 'regex', 'contains', 'one-of', 'more-than', 'less-than'];
+// Fields whose text is a number
+export const NUMBER_FIELDS = ['size-kb', 'age-days'];
+// Fields whose text is "true" or "false", tested with exact or not-exact alone
+export const BOOLEAN_FIELDS = ['has-attachment'];
+export const BOOLEAN_OPERATORS = ['exact', 'not-exact'];
+
+// Why a condition did or didn't match a message, for the rule test bench
+// Gives the fields the text came from, the text getTextString built, each
+// operator's result and the explanations of the all / any / not groups.
+// matched always agrees with testCondition.
+export function explainCondition(message, condition) {
+  const text = getTextString(message, condition);
+  const fields = RULE_FIELDS.filter(field => condition[field])
+    .map(field => field === 'header' ? `header ${condition.header}` : field);
+  const operators = RULE_OPERATORS.filter(operator => condition[operator] !== undefined)
+    .map(operator => ({ operator, value: condition[operator], passed: testRule(text, { [operator]: condition[operator] }) }));
+
+  const all = (condition.all || []).map(c => explainCondition(message, c));
+  const any = (condition.any || []).map(c => explainCondition(message, c));
+  const not = condition.not ? toList(condition.not).map(c => explainCondition(message, c)) : [];
+  const classifier = condition.classifier === undefined ? null : {
+    label: condition.classifier,
+    confidence: message.classification?.probabilities[condition.classifier.toLowerCase()] || 0,
+    minConfidence: condition['min-confidence'] ?? DEFAULT_MIN_CONFIDENCE,
+    passed: classifierMatches(message, condition)
+  };
+
+  const matched = all.every(c => c.matched) &&
+    (!condition.any || any.some(c => c.matched)) &&
+    !not.some(c => c.matched) &&
+    (!classifier || classifier.passed) &&
+    operators.every(o => o.passed);
+
+  return { matched, fields, text, operators, classifier, all, any, not };
+}
+
+// Explain every rule of a rule-list for a message, in processing order
+// Rules after a matching stop rule aren't reached for this message, as in
+// processMessages, where the next message starts again at rule 1
+export function explainRules(message, ruleList) {
+  let stopped = false;
+  return ruleList.map((rule, index) => {
+    const explanation = explainCondition(message, rule);
+    const result = {
+      ruleNumber: index + 1,
+      rule,
+      reached: !stopped,
+      matched: explanation.matched,
+      explanation,
+      actions: explanation.matched && !stopped ? ruleActions(rule) : []
+    };
+    if (explanation.matched && rule.stop) stopped = true;
+    return result;
+  });
+}
+
+// Readable list of the actions a rule takes when it matches
+export function ruleActions(rule) {
+  const actions = [];
+  if (rule['add-label']) actions.push(`add label ${rule['add-label']}`);
+  if (rule['remove-label']) actions.push(`remove label ${rule['remove-label']}`);
+  if (rule.thread) actions.push('for the whole thread');
+  for (const keyword of toList(rule['set-keyword'])) actions.push(`set keyword ${keyword}`);
+  if (rule['mark-read']) actions.push('mark read');
+  if (rule.flag) actions.push('flag');
+  for (const keyword of toList(rule['clear-keyword'])) actions.push(`clear keyword ${keyword}`);
+  if (rule.trash) actions.push('move to trash');
+  else if (rule.archive) actions.push('archive');
+  else if (rule['move-to']) actions.push(`move to ${rule['move-to']}`);
+  if (rule.stop) actions.push('stop');
+  return actions;
+}
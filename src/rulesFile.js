@@ -0,0 +1,98 @@
+import { readFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { rulesFilePath, parseRules } from './config.js';
+import { checkRules } from './rulesSchema.js';
+import { parseJsonc } from './jsonc.js';
+import { writeFileAtomic, withFileLock } from './dataFiles.js';
+
+// The version of rules.jsonc is a hash of its text, used as the ETag
+function versionOf(text) {
+  return createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+// rules.jsonc text for the editor, { content, version }
+export async function readRulesText() {
+  const content = await readFile(rulesFilePath, 'utf8');
+  return { content, version: versionOf(content) };
+}
+
+// Replace rules.jsonc with edited text, under the file's lock. When the file
+// changed since version was read nothing is written and an error with conflict
+// set is thrown. Returns the new version.
+export function saveRulesText(content, version) {
+  return withFileLock(rulesFilePath, async () => {
+    const currentVersion = versionOf(await readFile(rulesFilePath, 'utf8'));
+    if (version !== currentVersion) {
+      const error = new Error('rules.jsonc changed since it was loaded');
+      error.conflict = true;
+      error.version = currentVersion;
+      throw error;
+    }
+    await writeFileAtomic(rulesFilePath, content);
+    return versionOf(content);
+  });
+}
+
+// Append a rule to the rule-list a user's rules come from, keeping the file's
+// comments and layout. The new rule gets a "// rule N" comment like the others.
+// Returns the new rule's number. The file is read and written under its lock,
+// so an edit saved at the same time isn't lost.
+// mailboxNames are the user's folders, the rule's folders must be among them.
+// A rule that can't be added throws an error with invalid set.
+export function appendRule(user, rule, mailboxNames) {
+  return withFileLock(rulesFilePath, () => appendRuleLocked(user, rule, mailboxNames));
+}
+
+function invalidRule(message) {
+  const error = new Error(message);
+  error.invalid = true;
+  return error;
+}
+
+async function appendRuleLocked(user, rule, mailboxNames) {
+  const text = await readFile(rulesFilePath, 'utf8');
+  const config = parseRules(text);
+
+  // A user in the users section gets the rule in their own rule-list, the
+  // top-level one is shared by every user without one
+  if (config.users && !config.users[user]?.['rule-list']) {
+    throw invalidRule(`${user} has no rule-list of their own in rules.jsonc, add one in the rules editor first`);
+  }
+  const path = config.users ? ['users', user, 'rule-list'] : ['rule-list'];
+  const ruleList = path.reduce((value, key) => value[key], config);
+  const ruleNumber = ruleList.length + 1;
+
+  const { end, lastToken } = parseJsonc(text).locate(path);
+  const close = end - 1;
+  const closeLineStart = text.lastIndexOf('\n', close) + 1;
+  const closeIndent = text.slice(closeLineStart, close).match(/^\s*/)[0];
+  const indent = closeIndent + '  ';
+  const comma = text[lastToken] !== '[' && text[lastToken] !== ',' ? ',' : '';
+
+  // The rule goes after the last rule's line, so a comment at the end of that
+  // line stays with it. A ] on that same line moves to its own line.
+  const lineEnd = text.indexOf('\n', lastToken);
+  const closeOnSameLine = lineEnd === -1 || close < lineEnd;
+  const insertAt = closeOnSameLine ? close : lineEnd;
+
+  const ruleText = JSON.stringify(rule, null, 2).split('\n').join(`\n${indent}`);
+  const newText = text.slice(0, lastToken + 1) + comma + text.slice(lastToken + 1, insertAt) +
+    `\n${indent}// rule ${ruleNumber}\n${indent}${ruleText}` +
+    (closeOnSameLine ? `\n${closeIndent}` : '') + text.slice(insertAt);
+
+  // Never write a file the processor can't load
+  const newList = path.reduce((value, key) => value[key], parseRules(newText));
+  if (newList.length !== ruleNumber) {
+    throw new Error('Appending the rule did not produce a valid rules.jsonc');
+  }
+  // Folders are only checked for the new rule, so one missing from an older rule doesn't block it
+  const rulePath = `${path.join('.')}[${ruleNumber - 1}]`;
+  const folderErrors = checkRules(newText, { mailboxNames: { [user]: mailboxNames } })
+    .filter(issue => issue.level === 'error' && issue.path.startsWith(rulePath));
+  if (folderErrors.length > 0) {
+    throw invalidRule(folderErrors.map(issue => issue.message).join(', '));
+  }
+
+  await writeFileAtomic(rulesFilePath, newText);
+  return ruleNumber;
+}
@@ -0,0 +1,353 @@
+import { parseJsonc } from './jsonc.js';
+import { NUMBER_FIELDS, BOOLEAN_FIELDS, BOOLEAN_OPERATORS } from './rules.js';
+
+// Allowed keys and their types, see the rules.jsonc section of README.md
+const SETTING_KEYS = {
+  'user':             'string',
+  'scan-folder':      'string',
+  'first-message':    'number',
+  'last-message':     'number',
+  'Folders':          'string[]',
+  'rule-list':        'array',
+  'schedule':         'object',
+  'sender-overrides': 'object',
+  'retention':        'object',
+  'users':            'object'
+};
+// A users entry overrides any setting except these
+const TOP_LEVEL_ONLY = ['user', 'users'];
+const SCHEDULE_KEYS = {
+  'interval-minutes': 'number',
+  'push':             'boolean'
+};
+const SENDER_OVERRIDE_KEYS = {
+  'remove-excluded-label': 'boolean'
+};
+// One policy per label folder, under its name
+const RETENTION_KEYS = {
+  'older-than-days': 'number',
+  'trash':           'boolean',
+  'archive':         'boolean',
+  'mark-read':       'boolean'
+};
+const RETENTION_ACTIONS = ['trash', 'archive', 'mark-read'];
+const FIELD_KEYS = {
+  'header':          'string',
+  'from':            'boolean',
+  'from-domain':     'boolean',
+  'from-name':       'boolean',
+  'to':              'boolean',
+  'cc':              'boolean',
+  'reply-to':        'boolean',
+  'subject':         'boolean',
+  'body':            'boolean',
+  'list-id':         'boolean',
+  'attachment-name': 'boolean',
+  'attachment-type': 'boolean',
+  'has-attachment':  'boolean',
+  'size-kb':         'boolean',
+  'age-days':        'boolean'
+};
+const OPERATOR_KEYS = {
+  'contains':  'string|string[]',
+  'one-of':    'string[]',
+  'regex':     'string',
+  'exact':     'string',
+  'not-exact': 'string',
+  'empty':     'boolean',
+  'not-empty': 'boolean',
+  'more-than': 'number',
+  'less-than': 'number'
+};
+const NUMBER_OPERATORS = ['more-than', 'less-than'];
+// A classifier condition tests the label the trained classifier gives a message
+const CLASSIFIER_KEYS = {
+  'classifier':     'string',
+  'min-confidence': 'number'
+};
+const GROUP_KEYS = {
+  'all': 'array',
+  'any': 'array',
+  'not': 'object|array'
+};
+const ACTION_KEYS = {
+  'add-label':     'string',
+  'remove-label':  'string',
+  'move-to':       'string',
+  'archive':       'boolean',
+  'trash':         'boolean',
+  'mark-read':     'boolean',
+  'flag':          'boolean',
+  'set-keyword':   'string|string[]',
+  'clear-keyword': 'string|string[]',
+  'thread':        'boolean',
+  'stop':          'boolean'
+};
+// Actions that name a folder
+const FOLDER_ACTIONS = ['add-label', 'remove-label', 'move-to'];
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return value.every(item => typeof item === 'string') ? 'string[]' : 'array';
+  }
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return type.split('|').some(allowed => allowed === actual || (allowed === 'array' && actual === 'string[]'));
+}
+
+// rule-list[5].all[0].regex
+function pathText(path) {
+  return path.map((key, index) => typeof key === 'number' ? `[${key}]` : `${index ? '.' : ''}${key}`).join('');
+}
+
+// Check rules.jsonc text: syntax, unknown keys, value types, bad regexes, rules
+// that would match every message and, when mailboxNames is given as
+// { user: [folder names] }, folders that don't exist
+// Returns a list of { level: 'error' | 'warning', line, path, message }
+export function checkRules(text, { mailboxNames = null } = {}) {
+  let parsed;
+  try {
+    parsed = parseJsonc(text);
+  } catch (error) {
+    if (!error.line) throw error;
+    return [{ level: 'error', line: error.line, path: '', message: error.message.replace(/^Line \d+, column \d+: /, '') }];
+  }
+
+  const { value: config, locate } = parsed;
+  const issues = [];
+
+  function report(level, path, message) {
+    issues.push({ level, line: locate(path)?.line || 1, path: pathText(path), message });
+  }
+
+  function checkKeys(object, path, allowed, describe) {
+    for (const [key, value] of Object.entries(object)) {
+      if (!allowed[key]) {
+        report('error', [...path, key], `Unknown key "${key}" in ${describe}`);
+      } else if (!hasType(value, allowed[key])) {
+        report('error', [...path, key], `"${key}" must be ${allowed[key].replace('|', ' or ')}`);
+      }
+    }
+  }
+
+  // A condition tests a field with an operator, and/or holds all/any/not groups
+  function checkCondition(condition, path, isRule) {
+    if (typeOf(condition) !== 'object') {
+      report('error', path, isRule ? 'A rule must be an object' : 'A condition must be an object');
+      return;
+    }
+
+    const allowed = { ...FIELD_KEYS, ...OPERATOR_KEYS, ...CLASSIFIER_KEYS, ...GROUP_KEYS, ...(isRule ? ACTION_KEYS : {}) };
+    const tests = {};
+    for (const [key, value] of Object.entries(condition)) {
+      if (ACTION_KEYS[key] && !isRule) {
+        report('error', [...path, key], `Action "${key}" can only be on the rule, not in a condition`);
+      } else {
+        tests[key] = value;
+      }
+    }
+    checkKeys(tests, path, allowed, isRule ? 'rule' : 'condition');
+
+    const keys = Object.keys(condition);
+    const hasField = keys.some(key => FIELD_KEYS[key]);
+    const hasOperator = keys.some(key => OPERATOR_KEYS[key]);
+    const hasGroup = keys.some(key => GROUP_KEYS[key]);
+    const hasClassifier = condition.classifier !== undefined;
+
+    if (hasField && !hasOperator) {
+      report('error', path, 'Has a field but no operator, it would match every message');
+    } else if (hasOperator && !hasField) {
+      report('error', path, 'Has an operator but no field to test');
+    } else if (!hasField && !hasGroup && !hasClassifier) {
+      report(isRule ? 'warning' : 'error', path, 'Has no field, operator, classifier or group, it matches every message');
+    }
+
+    const minConfidence = condition['min-confidence'];
+    if (minConfidence !== undefined && !hasClassifier) {
+      report('error', [...path, 'min-confidence'], '"min-confidence" needs a "classifier" label');
+    } else if (typeof minConfidence === 'number' && !(minConfidence >= 0 && minConfidence <= 1)) {
+      report('error', [...path, 'min-confidence'], '"min-confidence" must be between 0 and 1');
+    }
+
+    // The text of several fields is joined with |, which is never a number
+    const fields = keys.filter(key => FIELD_KEYS[key] && condition[key]);
+    const numberOperators = NUMBER_OPERATORS.filter(operator => condition[operator] !== undefined);
+    if (numberOperators.length > 0 && !(fields.length === 1 && NUMBER_FIELDS.includes(fields[0]))) {
+      report('error', path, `"${numberOperators[0]}" only works on one field, ${NUMBER_FIELDS.join(' or ')}`);
+    }
+
+    // "true" contains "t" and is never empty, so other operators would match every message
+    const booleanField = fields.find(field => BOOLEAN_FIELDS.includes(field));
+    if (booleanField) {
+      const operators = keys.filter(key => OPERATOR_KEYS[key]);
+      const valid = fields.length === 1 && operators.length === 1 && BOOLEAN_OPERATORS.includes(operators[0]) &&
+        ['true', 'false'].includes(String(condition[operators[0]]).toLowerCase());
+      if (!valid) {
+        report('error', path, `"${booleanField}" must be the only field, tested with ${BOOLEAN_OPERATORS.join(' or ')} "true" or "false"`);
+      }
+    }
+
+    if (typeof condition.regex === 'string') {
+      try {
+        new RegExp(condition.regex, 'i');
+      } catch (error) {
+        report('error', [...path, 'regex'], `Bad regex: ${error.message}`);
+      }
+    }
+
+    for (const group of ['all', 'any']) {
+      if (Array.isArray(condition[group])) {
+        condition[group].forEach((child, index) => checkCondition(child, [...path, group, index], false));
+      }
+    }
+    if (Array.isArray(condition.not)) {
+      condition.not.forEach((child, index) => checkCondition(child, [...path, 'not', index], false));
+    } else if (typeOf(condition.not) === 'object') {
+      checkCondition(condition.not, [...path, 'not'], false);
+    }
+
+    if (isRule && !keys.some(key => ACTION_KEYS[key])) {
+      report('warning', path, 'Has no actions');
+    }
+    if (isRule && condition.thread === true && !condition['add-label'] && !condition['remove-label']) {
+      report('error', [...path, 'thread'], '"thread" only applies add-label and remove-label to the thread, the rule has neither');
+    }
+  }
+
+  function checkRetentionPolicy(policy, path) {
+    if (typeOf(policy) !== 'object') {
+      report('error', path, 'A retention policy must be an object');
+      return;
+    }
+    checkKeys(policy, path, RETENTION_KEYS, 'retention policy');
+    const days = policy['older-than-days'];
+    if (days === undefined) {
+      report('error', path, 'Missing "older-than-days"');
+    } else if (typeof days === 'number' && !(days > 0)) {
+      report('error', [...path, 'older-than-days'], '"older-than-days" must be more than 0');
+    }
+    if (!RETENTION_ACTIONS.some(action => policy[action] === true)) {
+      report('error', path, `Has no action, use ${RETENTION_ACTIONS.join(' or ')}`);
+    }
+    if (policy.trash === true && policy.archive === true) {
+      report('error', path, 'Can\'t both trash and archive');
+    }
+  }
+
+  function checkSettings(settings, path, describe) {
+    const allowed = { ...SETTING_KEYS };
+    if (path.length > 0) {
+      for (const key of TOP_LEVEL_ONLY) delete allowed[key];
+    }
+    checkKeys(settings, path, allowed, describe);
+
+    if (typeOf(settings.schedule) === 'object') {
+      checkKeys(settings.schedule, [...path, 'schedule'], SCHEDULE_KEYS, 'schedule');
+    }
+    if (typeOf(settings['sender-overrides']) === 'object') {
+      checkKeys(settings['sender-overrides'], [...path, 'sender-overrides'], SENDER_OVERRIDE_KEYS, 'sender-overrides');
+    }
+    if (typeOf(settings.retention) === 'object') {
+      for (const [label, policy] of Object.entries(settings.retention)) {
+        checkRetentionPolicy(policy, [...path, 'retention', label]);
+      }
+    }
+    if (Array.isArray(settings['rule-list'])) {
+      settings['rule-list'].forEach((rule, index) => checkCondition(rule, [...path, 'rule-list', index], true));
+    }
+  }
+
+  if (typeOf(config) !== 'object') {
+    report('error', [], 'rules.jsonc must hold an object');
+    return issues;
+  }
+
+  checkSettings(config, [], 'settings');
+
+  const users = typeOf(config.users) === 'object' ? Object.keys(config.users) : [config.user];
+  for (const user of users) {
+    const userPath = config.users ? ['users', user] : [];
+    const userSettings = config.users?.[user] ?? {};
+
+    if (config.users) {
+      if (typeOf(userSettings) !== 'object') {
+        report('error', userPath, `Settings for user ${user} must be an object`);
+        continue;
+      }
+      checkSettings(userSettings, userPath, `settings for user ${user}`);
+    } else if (!user) {
+      report('error', [], 'Missing "user"');
+    }
+
+    // The settings the processor will run with for this user
+    const effective = { ...config, ...userSettings };
+    const inherited = key => userSettings[key] !== undefined ? [...userPath, key] : [key];
+    for (const key of ['scan-folder', 'rule-list']) {
+      if (effective[key] === undefined) {
+        report('error', userPath, `Missing "${key}"${config.users ? ` for user ${user}` : ''}`);
+      }
+    }
+
+    const names = mailboxNames?.[user];
+    if (!names) continue;
+
+    // Folders in the Folders setting are created at the start of each run
+    const folders = new Set([...names, ...(effective.Folders || [])].map(name => name.toLowerCase()));
+    const forUser = config.users ? ` for user ${user}` : '';
+
+    if (typeof effective['scan-folder'] === 'string' && !folders.has(effective['scan-folder'].toLowerCase())) {
+      report('error', inherited('scan-folder'), `Folder "${effective['scan-folder']}" doesn't exist${forUser}`);
+    }
+    if (typeOf(effective.retention) === 'object') {
+      for (const label of Object.keys(effective.retention)) {
+        if (!folders.has(label.toLowerCase())) {
+          report('error', [...inherited('retention'), label], `Folder "${label}" doesn't exist${forUser}`);
+        }
+      }
+    }
+    if (Array.isArray(effective['rule-list'])) {
+      effective['rule-list'].forEach((rule, index) => {
+        for (const action of FOLDER_ACTIONS) {
+          if (typeof rule?.[action] === 'string' && !folders.has(rule[action].toLowerCase())) {
+            report('error', [...inherited('rule-list'), index, action], `Folder "${rule[action]}" doesn't exist${forUser}`);
+          }
+        }
+      });
+    }
+  }
+
+  return issues.sort((a, b) => a.line - b.line);
+}
+
+// Check the text of one draft rule, as it would appear in rule-list
+// Returns { rule, issues } with rule null when the text doesn't parse
+export function checkDraftRule(text) {
+  // Checked as the only rule of a minimal rules.jsonc, the rule starts on line 2
+  const wrapped = `{ "user": "draft", "scan-folder": "draft", "rule-list": [\n${text}\n] }`;
+  const issues = checkRules(wrapped).map(issue => ({
+    ...issue,
+    line: Math.max(1, issue.line - 1),
+    path: issue.path.replace(/^rule-list\[0\]\.?/, '')
+  }));
+
+  let rule = null;
+  if (!issues.some(issue => issue.level === 'error')) {
+    const ruleList = parseJsonc(wrapped).value['rule-list'];
+    if (ruleList.length === 1) {
+      rule = ruleList[0];
+    } else {
+      issues.push({ level: 'error', line: 1, path: '', message: 'Enter exactly one rule' });
+    }
+  }
+
+  return { rule, issues };
+}
+
+// One line for an issue, e.g. "Line 12 (rule-list[5].contians): Unknown key ..."
+export function formatIssue(issue) {
+  return `Line ${issue.line}${issue.path ? ` (${issue.path})` : ''}: ${issue.message}`;
+}
@@ -0,0 +1,154 @@
+import { configuredUsers, userRules } from './config.js';
+import { processMessages } from './fastmailProc.js';
+
+const PUSH_DEBOUNCE_MS = 10000;   // wait for a burst of new mail to settle
+const PUSH_RETRY_MS    = 60000;   // reconnect delay after the push connection drops
+const LOCK_RETRY_MS    = 60000;   // retry delay while the web editor has the lock
+
+// Runs the processor inside the host, on an interval and/or on JMAP push
+// Settings come from the schedule section of each user's rules:
+//   "schedule": { "interval-minutes": 15, "push": true }
+// getConfig() returns the current rules.jsonc contents, getClient(user) the
+// user's JMAP client and isLocked(user) resolves to whether the web editor has its lock.
+// onRun(user, event) is told when a run starts and finishes, the finished
+// event is the run's lastRun status.
+// reconfigure() applies the current rules.jsonc after it's saved: users added
+// and removed, and changed schedules.
+export function createScheduler({ getConfig, getClient, isLocked, onRun = () => {} }) {
+  // user -> { running, lastRun, lastSkipped, nextRunAt, pushConnected }
+  const status = {};
+  const pushTimers = {};
+  const lockTimers = {};
+  const intervalTimers = {};
+  // user -> AbortController of the push connection
+  const pushListeners = {};
+
+  async function runUser(user, trigger) {
+    const userStatus = status[user];
+    // The user was removed from rules.jsonc since the run was set up
+    if (!userStatus || userStatus.running) return false;
+
+    userStatus.running = true;
+    const startedAt = new Date().toISOString();
+    try {
+      // Don't rewrite subjects while the browser has unsaved edits
+      if (await isLocked(user)) {
+        userStatus.lastSkipped = { time: new Date().toISOString(), trigger, reason: 'web editor has the lock' };
+        console.log(`Scheduled run for ${user} skipped, web editor has the lock`);
+        if (!lockTimers[user]) {
+          lockTimers[user] = setTimeout(() => {
+            delete lockTimers[user];
+            runUser(user, trigger);
+          }, LOCK_RETRY_MS);
+        }
+        return false;
+      }
+
+      onRun(user, { state: 'started', trigger, startedAt });
+      const summary = await processMessages({ rules: userRules(getConfig(), user), jmap: getClient(user) });
+      userStatus.lastRun = { trigger, ...summary, finishedAt: new Date().toISOString(), error: null };
+    } catch (error) {
+      console.error(`Scheduled run for ${user} failed:`, error.message);
+      userStatus.lastRun = { trigger, user, startedAt, finishedAt: new Date().toISOString(), error: error.message };
+    } finally {
+      userStatus.running = false;
+    }
+    onRun(user, { state: 'finished', ...userStatus.lastRun });
+    return true;
+  }
+
+  // Run soon after new mail, once a burst of push events has settled
+  function onPushChange(user, accountId, changed) {
+    if (!changed[accountId]?.Email) return;
+    clearTimeout(pushTimers[user]);
+    pushTimers[user] = setTimeout(() => runUser(user, 'push'), PUSH_DEBOUNCE_MS);
+  }
+
+  // Keep a push connection open, reconnecting when it drops, until stopPush
+  async function listenForPush(user) {
+    const jmap = getClient(user);
+    const controller = new AbortController();
+    pushListeners[user] = controller;
+    while (!controller.signal.aborted) {
+      try {
+        const accountId = await jmap.getAccountId();
+        if (controller.signal.aborted) break;
+        status[user].pushConnected = true;
+        console.log(`Push connected for ${user}`);
+        await jmap.listenForChanges(['Email'], changed => onPushChange(user, accountId, changed), controller.signal);
+      } catch (error) {
+        if (controller.signal.aborted) break;
+        console.error(`Push connection for ${user} failed:`, error.message);
+      }
+      if (status[user]) status[user].pushConnected = false;
+      await new Promise(resolve => setTimeout(resolve, PUSH_RETRY_MS));
+    }
+  }
+
+  function stopPush(user) {
+    pushListeners[user]?.abort();
+    delete pushListeners[user];
+    clearTimeout(pushTimers[user]);
+    if (status[user]) status[user].pushConnected = false;
+  }
+
+  function scheduleInterval(user, minutes) {
+    clearInterval(intervalTimers[user]);
+    delete intervalTimers[user];
+    status[user].intervalMinutes = minutes;
+    status[user].nextRunAt = null;
+    if (minutes <= 0) return;
+
+    const intervalMs = minutes * 60000;
+    status[user].nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+    intervalTimers[user] = setInterval(() => {
+      status[user].nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+      runUser(user, 'interval');
+    }, intervalMs);
+    console.log(`Processing ${user} every ${minutes} minutes`);
+  }
+
+  // Set up each user's interval and push from the current config, keeping the
+  // status and timers of users whose schedule is unchanged
+  function reconfigure() {
+    const config = getConfig();
+    const users = configuredUsers(config);
+
+    for (const user of Object.keys(status).filter(user => !users.includes(user))) {
+      stopPush(user);
+      clearInterval(intervalTimers[user]);
+      delete intervalTimers[user];
+      clearTimeout(lockTimers[user]);
+      delete lockTimers[user];
+      delete status[user];
+      console.log(`Stopped scheduling ${user}, no longer in rules.jsonc`);
+    }
+
+    for (const user of users) {
+      const schedule = userRules(config, user).schedule || {};
+      const minutes = schedule['interval-minutes'] || 0;
+      status[user] ||= {
+        running: false,
+        lastRun: null,
+        lastSkipped: null,
+        intervalMinutes: null,
+        push: false,
+        pushConnected: false,
+        nextRunAt: null
+      };
+
+      if (status[user].intervalMinutes !== minutes) scheduleInterval(user, minutes);
+      if (!!schedule.push !== status[user].push) {
+        status[user].push = !!schedule.push;
+        if (schedule.push) listenForPush(user);
+        else stopPush(user);
+      }
+    }
+  }
+
+  function getStatus(user) {
+    return status[user];
+  }
+
+  return { start: reconfigure, reconfigure, getStatus, runNow: user => runUser(user, 'manual') };
+}
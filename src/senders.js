@@ -0,0 +1,265 @@
+import { readFile, rename } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { userDataPath, ensureUserDataDir } from './config.js';
+import { writeFileAtomic, withFileLock } from './dataFiles.js';
+
+// Per-user file in data/<user>/
+const SENDERS_FILE = 'senders.json';
+// The text files senders.json replaced, migrated the first time it's loaded
+const LEGACY_FILES = { subjects: 'subjects.txt', exclusions: 'exclusions.txt' };
+const MIGRATED_SUFFIX = '.migrated';
+
+// Senders whose message was gone when the text files were migrated are kept
+// under their name until a run sees them again
+const LEGACY_KEY_PREFIX = 'name:';
+
+// The lists a sender can be on. Exclusions and allowed override the rules for
+// the sender's label: an excluded sender never gets it, an allowed one always does.
+export const SENDER_LISTS = ['subjects', 'exclusions', 'allowed'];
+
+// senders.json holds one record per sender email, lowercased:
+// { "news@shop.com": { name, subject, messageId, label, list, firstSeen, lastSeen, count } }
+// subject and messageId are from the newest message seen, label is the one the
+// sender was first filed under and list is one of SENDER_LISTS.
+// firstSeen and lastSeen are message receivedAt times, count the messages seen.
+// movedAt is when the sender was last moved to another list and labelRemovedAt
+// when an excluded sender's label was last taken off their existing messages.
+
+// Parse the old "From | Subject | MessageID" lines under "======= Label =======" headers
+// The message id is the last field, so a " | " in a subject no longer splits it
+function parseLegacyFile(content, list) {
+  const entries = [];
+  let label = null;
+  for (const line of content.split('\n')) {
+    if (line.match(/^=======.*=======$/)) {
+      label = line.replace(/^=======\s*/, '').replace(/\s*=======\s*$/, '');
+    } else if (line.trim() && label && line.includes(' | ')) {
+      const parts = line.split(' | ');
+      if (parts.length < 3) continue;
+      entries.push({
+        name: parts[0],
+        subject: parts.slice(1, -1).join(' | '),
+        messageId: parts.at(-1).trim(),
+        label,
+        list
+      });
+    }
+  }
+  return entries;
+}
+
+// The version of senders.json is a hash of its contents, used as the ETag
+function versionOf(text) {
+  return createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+// Build the senders from subjects.txt and exclusions.txt, looking up each
+// line's sender email from its message. The caller saves them and then
+// renames the text files to .migrated.
+async function migrateLegacyFiles({ user, jmap }) {
+  const entries = [];
+  for (const [list, filename] of Object.entries(LEGACY_FILES)) {
+    const filepath = userDataPath(user, filename);
+    if (existsSync(filepath)) {
+      entries.push(...parseLegacyFile(await readFile(filepath, 'utf8'), list));
+    }
+  }
+
+  const accountId = await jmap.getAccountId();
+  const { list: messages } = await jmap.getAll('Email', {
+    accountId,
+    ids: [...new Set(entries.map(entry => entry.messageId))],
+    properties: ['id', 'from', 'receivedAt']
+  });
+  const messagesById = new Map(messages.map(message => [message.id, message]));
+
+  // Exclusions first, so a sender on both lists stays excluded
+  const senders = {};
+  let legacyCount = 0;
+  for (const { messageId, list, ...entry } of [...entries].sort((a, b) => (b.list === 'exclusions') - (a.list === 'exclusions'))) {
+    const message = messagesById.get(messageId);
+    const email = message?.from?.[0]?.email?.toLowerCase();
+    const key = email || `${LEGACY_KEY_PREFIX}${entry.name.toLowerCase()}`;
+    if (senders[key]) continue;
+    if (!email) legacyCount++;
+    senders[key] = {
+      ...entry,
+      messageId,
+      list,
+      firstSeen: message?.receivedAt || null,
+      lastSeen: message?.receivedAt || null,
+      count: 1
+    };
+  }
+
+  console.log(`Migrated ${entries.length} subject and exclusion lines to data/${user}/${SENDERS_FILE}, ${Object.keys(senders).length} senders`);
+  if (legacyCount > 0) {
+    console.log(`  ${legacyCount} senders have no message left and are kept by name until seen again`);
+  }
+  return senders;
+}
+
+const hasLegacyFiles = user => Object.values(LEGACY_FILES).some(filename => existsSync(userDataPath(user, filename)));
+
+// Load a user's senders as { senders, version }, migrating the old text files
+// the first time. jmap is only used by the migration, to look up sender emails.
+export async function loadSenders({ user, jmap }) {
+  const filepath = userDataPath(user, SENDERS_FILE);
+  if (existsSync(filepath)) {
+    const text = await readFile(filepath, 'utf8');
+    return { senders: JSON.parse(text), version: versionOf(text) };
+  }
+  if (hasLegacyFiles(user)) {
+    const { senders, version } = await updateSenders({ user, jmap }, () => null);
+    return { senders, version };
+  }
+  // A new user has no senders until the first run
+  return { senders: {}, version: versionOf('') };
+}
+
+// Change a user's senders, holding the file lock from reading them to writing
+// them back in one step. change(senders) changes them in place and its return
+// value is passed back as result. When version is given and senders.json has
+// changed since, nothing is written and an error with conflict set is thrown.
+// Returns { result, senders, version } with the new version.
+export async function updateSenders({ user, jmap, version = null }, change) {
+  ensureUserDataDir(user);
+  const filepath = userDataPath(user, SENDERS_FILE);
+
+  return withFileLock(filepath, async () => {
+    let senders = {};
+    let currentVersion = versionOf('');
+    const migrating = !existsSync(filepath) && hasLegacyFiles(user);
+    if (existsSync(filepath)) {
+      const text = await readFile(filepath, 'utf8');
+      senders = JSON.parse(text);
+      currentVersion = versionOf(text);
+    } else if (migrating) {
+      senders = await migrateLegacyFiles({ user, jmap });
+    }
+
+    if (version && version !== currentVersion) {
+      const error = new Error('The senders changed since they were loaded');
+      error.conflict = true;
+      error.version = currentVersion;
+      throw error;
+    }
+
+    const result = change(senders);
+    const text = JSON.stringify(senders, null, 2) + '\n';
+    await writeFileAtomic(filepath, text);
+
+    if (migrating) {
+      for (const filename of Object.values(LEGACY_FILES)) {
+        const legacyPath = userDataPath(user, filename);
+        if (existsSync(legacyPath)) await rename(legacyPath, legacyPath + MIGRATED_SUFFIX);
+      }
+    }
+
+    return { result, senders, version: versionOf(text) };
+  });
+}
+
+// Record a message that got a label, returning true for a sender not seen before
+// Only messages outside the sender's firstSeen - lastSeen range are counted, so
+// rescans and updated messages aren't counted twice
+export function recordSender(senders, message, label) {
+  const email = message.from?.[0]?.email?.toLowerCase();
+  if (!email) return false;
+  const name = message.from[0].name || email;
+  const receivedAt = message.receivedAt;
+
+  // Take over a migrated record kept by name, its message is gone
+  const legacyKey = `${LEGACY_KEY_PREFIX}${name.toLowerCase()}`;
+  if (!senders[email] && senders[legacyKey]) {
+    senders[email] = {
+      ...senders[legacyKey],
+      subject: message.subject || '',
+      messageId: message.id,
+      firstSeen: receivedAt,
+      lastSeen: receivedAt
+    };
+    delete senders[legacyKey];
+  }
+
+  const sender = senders[email];
+  if (!sender) {
+    senders[email] = {
+      name,
+      subject: message.subject || '',
+      messageId: message.id,
+      label,
+      list: 'subjects',
+      firstSeen: receivedAt,
+      lastSeen: receivedAt,
+      count: 1
+    };
+    return true;
+  }
+
+  if (!sender.lastSeen || receivedAt > sender.lastSeen) {
+    sender.count++;
+    sender.lastSeen = receivedAt;
+    sender.name = name;
+    sender.subject = message.subject || '';
+    sender.messageId = message.id;
+  } else if (!sender.firstSeen || receivedAt < sender.firstSeen) {
+    sender.count++;
+    sender.firstSeen = receivedAt;
+  }
+  return false;
+}
+
+// Move senders to another list
+// Returns the number of senders moved, unknown emails are skipped
+export function moveSenders(senders, emails, list) {
+  let movedCount = 0;
+  const now = new Date().toISOString();
+  for (const email of emails) {
+    const sender = senders[email];
+    if (sender && sender.list !== list) {
+      sender.list = list;
+      sender.movedAt = now;
+      movedCount++;
+    }
+  }
+  return movedCount;
+}
+
+// The label each excluded and allowed sender overrides, by email
+// { excluded: Map(email -> label), allowed: Map(email -> label) }
+// Senders kept by name since the migration have no email to match yet
+export function senderOverrides(senders) {
+  const overrides = { excluded: new Map(), allowed: new Map() };
+  for (const [email, sender] of Object.entries(senders)) {
+    if (email.startsWith(LEGACY_KEY_PREFIX)) continue;
+    if (sender.list === 'exclusions') overrides.excluded.set(email, sender.label);
+    if (sender.list === 'allowed') overrides.allowed.set(email, sender.label);
+  }
+  return overrides;
+}
+
+// Excluded senders whose existing messages haven't had the label taken off
+// since they were excluded, as [{ email, label }]
+export function exclusionsToClean(senders) {
+  return Object.entries(senders)
+    .filter(([email, sender]) => !email.startsWith(LEGACY_KEY_PREFIX) && sender.list === 'exclusions' &&
+      (!sender.labelRemovedAt || (sender.movedAt && sender.movedAt > sender.labelRemovedAt)))
+    .map(([email, sender]) => ({ email, label: sender.label }));
+}
+
+// Record that excluded senders had their label taken off their messages
+export function markLabelRemoved(senders, emails, time) {
+  for (const email of emails) {
+    if (senders[email]?.list === 'exclusions') senders[email].labelRemovedAt = time;
+  }
+}
+
+// Records of one list with their email, sorted by label and then name
+export function listSenders(senders, list) {
+  return Object.entries(senders)
+    .filter(([, sender]) => sender.list === list)
+    .map(([email, sender]) => ({ email, ...sender }))
+    .sort((a, b) => a.label.localeCompare(b.label) || a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
+}
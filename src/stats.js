@@ -0,0 +1,92 @@
+import { listRuns } from './journal.js';
+import { loadSenders } from './senders.js';
+import { buildRuleReport, ruleReportFindings } from './ruleStats.js';
+
+// Count the senders per label on one list
+function countByLabel(senders, list) {
+  const counts = {};
+  for (const sender of Object.values(senders)) {
+    if (sender.list === list) counts[sender.label] = (counts[sender.label] || 0) + 1;
+  }
+  return counts;
+}
+
+// Folder names the rules read from or write to
+function ruleFolders(rules) {
+  const folders = new Set([rules['scan-folder'], ...(rules.Folders || [])]);
+  for (const rule of rules['rule-list']) {
+    for (const key of ['add-label', 'remove-label', 'move-to']) {
+      if (rule[key]) folders.add(rule[key]);
+    }
+  }
+  return Array.from(folders);
+}
+
+// Print message counts for the rule folders, sender counts and the last run
+export async function showStats({ rules, jmap }) {
+  const accountId = await jmap.getAccountId();
+  const { list: mailboxes } = await jmap.call('Mailbox/get', {
+    accountId,
+    properties: ['id', 'name', 'totalEmails', 'unreadEmails']
+  });
+
+  console.log('');
+  console.log(`Fastmail stats for ${rules.user}`);
+  console.log('  Folder               Total   Unread');
+  for (const folder of ruleFolders(rules)) {
+    const mailbox = mailboxes.find(mb => mb.name.toLowerCase() === folder.toLowerCase());
+    if (mailbox) {
+      console.log(`  ${mailbox.name.padEnd(18)} ${String(mailbox.totalEmails).padStart(7)}  ${String(mailbox.unreadEmails).padStart(7)}`);
+    } else {
+      console.log(`  ${folder.padEnd(18)}  (missing)`);
+    }
+  }
+
+  const { senders } = await loadSenders({ user: rules.user, jmap });
+  const subjectCounts = countByLabel(senders, 'subjects');
+  const exclusionCounts = countByLabel(senders, 'exclusions');
+  const allowedCounts = countByLabel(senders, 'allowed');
+  const labels = Array.from(new Set([subjectCounts, exclusionCounts, allowedCounts].flatMap(Object.keys))).sort();
+
+  console.log('');
+  console.log('  Label              Subjects  Exclusions  Allowed');
+  for (const label of labels) {
+    console.log(`  ${label.padEnd(18)} ${String(subjectCounts[label] || 0).padStart(8)}  ${String(exclusionCounts[label] || 0).padStart(10)}  ${String(allowedCounts[label] || 0).padStart(7)}`);
+  }
+
+  const [lastRun] = await listRuns(rules.user);
+  console.log('');
+  if (lastRun) {
+    console.log(`  Last journaled run: ${lastRun.runId} (${lastRun.kind}), ${lastRun.messageCount} messages changed`);
+  } else {
+    console.log('  No runs journaled yet');
+  }
+  console.log('');
+}
+
+// Print the per-rule hit counters and the problems found in the rule-list
+export async function showRuleReport({ rules }) {
+  const report = await buildRuleReport({ user: rules.user, ruleList: rules['rule-list'] });
+  const day = time => time ? time.slice(0, 10) : '-';
+
+  console.log('');
+  console.log(`Rule report for ${rules.user}`);
+  console.log('  Rule   Matches  Modified  Last matched  Actions');
+  for (const rule of report.rules) {
+    const counts = rule.counted
+      ? `${String(rule.matches).padStart(7)}  ${String(rule.modified).padStart(8)}  ${day(rule.lastMatched).padEnd(12)}`
+      : '(not counted yet)'.padEnd(31);
+    console.log(`  ${String(rule.ruleNumber).padStart(4)}  ${counts}  ${rule.actions.join(', ')}`);
+  }
+
+  const findings = ruleReportFindings(report);
+
+  console.log('');
+  if (findings.length === 0) {
+    console.log('  No problems found');
+  }
+  for (const finding of findings) {
+    console.log(`  ${finding}`);
+  }
+  console.log('');
+}
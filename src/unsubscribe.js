@@ -0,0 +1,253 @@
+import fetch from 'node-fetch';
+import { Agent } from 'https';
+import { BlockList, isIP } from 'net';
+import { lookup } from 'dns';
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { userDataPath, ensureUserDataDir } from './config.js';
+import { writeFileAtomic, withFileLock } from './dataFiles.js';
+
+// Per-user file in data/<user>/
+const UNSUBSCRIBES_FILE = 'unsubscribes.json';
+const ONE_CLICK_TIMEOUT_MS = 30000;
+const ONE_CLICK_BODY = 'List-Unsubscribe=One-Click';
+// Redirects followed from a one-click URL, each checked like the URL itself
+const ONE_CLICK_MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// One-click URLs come from the mail, the POST never goes to the host's own
+// network: loopback, private, link-local, shared and unspecified addresses
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'], ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'], ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'], ['::1', 128, 'ipv6'], ['fc00::', 7, 'ipv6'], ['fe80::', 10, 'ipv6'], ['ff00::', 8, 'ipv6']
+];
+const SUBMISSION_USING = [
+  'urn:ietf:params:jmap:core',
+  'urn:ietf:params:jmap:mail',
+  'urn:ietf:params:jmap:submission'
+];
+
+// Outcomes recorded per sender email
+// { fromEmail: { fromName, label, messageId, method, status, url, error, time } }
+// method: one-click | mailto | web | none
+// status: unsubscribed (one-click POST accepted or mailto sent), manual (only a
+// web page to visit), unavailable (no List-Unsubscribe header), failed
+export async function loadUnsubscribes(user) {
+  const filepath = userDataPath(user, UNSUBSCRIBES_FILE);
+  // No file until the first unsubscribe
+  if (!existsSync(filepath)) return {};
+  return JSON.parse(await readFile(filepath, 'utf8'));
+}
+
+// Record outcomes, { fromEmail: record }, holding the file lock from loading
+// the file to writing it back so concurrent batches keep each other's outcomes
+async function saveUnsubscribes(user, records) {
+  ensureUserDataDir(user);
+  const filepath = userDataPath(user, UNSUBSCRIBES_FILE);
+  await withFileLock(filepath, async () => {
+    const unsubscribes = { ...await loadUnsubscribes(user), ...records };
+    await writeFileAtomic(filepath, JSON.stringify(unsubscribes, null, 2) + '\n');
+  });
+}
+
+const blockedAddresses = new BlockList();
+for (const [address, prefix, family] of BLOCKED_SUBNETS) {
+  blockedAddresses.addSubnet(address, prefix, family);
+}
+
+const isBlockedAddress = address => blockedAddresses.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+// dns.lookup for the one-click agent, failing when the host has a blocked
+// address. Checked on every connection, so a name that resolves differently
+// the second time is caught too. Node skips it for a host that is an address,
+// oneClickUnsubscribe checks those itself.
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`One-click unsubscribe refused, ${hostname} is a local address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const oneClickAgent = new Agent({ lookup: publicLookup });
+
+// Fail unless url is https to a host that isn't an address of the local network
+// Hosts that are names are checked by publicLookup when connecting
+function checkOneClickUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'https:') {
+    throw new Error(`One-click unsubscribe refused, ${url} is not https`);
+  }
+  const address = hostname.replace(/^\[|\]$/g, '');
+  if (isIP(address) && isBlockedAddress(address)) {
+    throw new Error(`One-click unsubscribe refused, ${address} is a local address`);
+  }
+}
+
+// RFC 8058: POST List-Unsubscribe=One-Click to the https URL
+// Redirects are followed here rather than by fetch, so each Location is checked
+async function oneClickUnsubscribe(url) {
+  const signal = AbortSignal.timeout(ONE_CLICK_TIMEOUT_MS);
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    checkOneClickUrl(url);
+    response = await fetch(url, {
+      method: 'POST',
+      agent: oneClickAgent,
+      redirect: 'manual',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: ONE_CLICK_BODY,
+      signal
+    });
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) break;
+    if (redirects === ONE_CLICK_MAX_REDIRECTS) {
+      throw new Error(`One-click unsubscribe failed: more than ${ONE_CLICK_MAX_REDIRECTS} redirects`);
+    }
+    url = new URL(location, url).href;
+  }
+  if (!response.ok) {
+    throw new Error(`One-click unsubscribe failed: ${response.status} ${response.statusText}`);
+  }
+}
+
+// Send the unsubscribe email from a mailto: URL (RFC 6068), filed in Sent
+// A mailto with several recipients is sent to the first
+async function mailtoUnsubscribe(jmap, accountId, mailto, message) {
+  const url = new URL(mailto);
+  const to = decodeURIComponent(url.pathname).split(',')[0].trim();
+  if (!to) throw new Error(`No recipient in ${mailto}`);
+  const subject = url.searchParams.get('subject') || 'unsubscribe';
+  const body = url.searchParams.get('body') || 'unsubscribe';
+
+  const [{ list: identities }, { list: mailboxes }] = await jmap.request([
+    ['Identity/get', { accountId }, 'identities'],
+    ['Mailbox/get', { accountId, properties: ['id', 'role'] }, 'mailboxes']
+  ], SUBMISSION_USING);
+
+  // Send from the address the list mailed, or the first identity
+  const toEmails = (message.to || []).map(address => address.email.toLowerCase());
+  const identity = identities.find(candidate => toEmails.includes(candidate.email.toLowerCase())) || identities[0];
+  const draftsId = mailboxes.find(mailbox => mailbox.role === 'drafts')?.id;
+  const sentId = mailboxes.find(mailbox => mailbox.role === 'sent')?.id;
+  if (!identity || !draftsId || !sentId) {
+    throw new Error('No sending identity, Drafts or Sent mailbox');
+  }
+
+  const [emailSet, submissionSet] = await jmap.request([
+    ['Email/set', {
+      accountId,
+      create: {
+        unsubscribe: {
+          mailboxIds: { [draftsId]: true },
+          keywords: { $draft: true, $seen: true },
+          from: [{ name: identity.name, email: identity.email }],
+          to: [{ email: to }],
+          subject,
+          bodyValues: { body: { value: body } },
+          textBody: [{ partId: 'body', type: 'text/plain' }]
+        }
+      }
+    }, 'email'],
+    ['EmailSubmission/set', {
+      accountId,
+      create: { send: { identityId: identity.id, emailId: '#unsubscribe' } },
+      onSuccessUpdateEmail: {
+        '#send': {
+          [`mailboxIds/${draftsId}`]: null,
+          [`mailboxIds/${sentId}`]: true,
+          'keywords/$draft': null
+        }
+      }
+    }, 'submission']
+  ], SUBMISSION_USING);
+
+  const notCreated = emailSet.notCreated?.unsubscribe || submissionSet.notCreated?.send;
+  if (notCreated) {
+    throw new Error(`Unsubscribe email to ${to} failed: ${notCreated.type}${notCreated.description ? ` - ${notCreated.description}` : ''}`);
+  }
+  return `mailto:${to}`;
+}
+
+// Unsubscribe from the sender of a message using its List-Unsubscribe headers
+// One-click POST is preferred, then a mailto email, otherwise the web page is
+// recorded for Linda to visit. Returns the recorded outcome.
+async function unsubscribeMessage(jmap, accountId, messageId, label) {
+  const { list: [message] } = await jmap.call('Email/get', {
+    accountId,
+    ids: [messageId],
+    properties: ['id', 'from', 'to', 'header:List-Unsubscribe:asURLs', 'header:List-Unsubscribe-Post:asText']
+  });
+  if (!message) {
+    return { messageId, fromEmail: null, status: 'failed', method: 'none', error: 'Message not found' };
+  }
+
+  const urls = message['header:List-Unsubscribe:asURLs'] || [];
+  const oneClick = (message['header:List-Unsubscribe-Post:asText'] || '').trim() === ONE_CLICK_BODY;
+  const httpsUrl = urls.find(url => url.toLowerCase().startsWith('https:'));
+  const webUrl = urls.find(url => /^https?:/i.test(url));
+  const mailto = urls.find(url => url.toLowerCase().startsWith('mailto:'));
+
+  const outcome = {
+    messageId,
+    fromEmail: message.from?.[0]?.email?.toLowerCase() || null,
+    fromName: message.from?.[0]?.name || message.from?.[0]?.email || '',
+    label: label || null,
+    method: 'none',
+    status: 'unavailable',
+    url: null,
+    error: null,
+    time: new Date().toISOString()
+  };
+
+  try {
+    if (oneClick && httpsUrl) {
+      outcome.method = 'one-click';
+      outcome.url = httpsUrl;
+      await oneClickUnsubscribe(httpsUrl);
+      outcome.status = 'unsubscribed';
+    } else if (mailto) {
+      outcome.method = 'mailto';
+      outcome.url = await mailtoUnsubscribe(jmap, accountId, mailto, message);
+      outcome.status = 'unsubscribed';
+    } else if (webUrl) {
+      // Without List-Unsubscribe-Post a GET could do anything, so leave it to Linda
+      outcome.method = 'web';
+      outcome.url = webUrl;
+      outcome.status = 'manual';
+    }
+  } catch (error) {
+    outcome.status = 'failed';
+    outcome.error = error.message;
+  }
+
+  return outcome;
+}
+
+// Unsubscribe from the senders of messages, one at a time, recording each outcome
+// items: [{ messageId, label }]
+export async function unsubscribeSenders({ jmap, user, items }) {
+  const accountId = await jmap.getAccountId();
+  // The outcomes of this batch, saved once it's done
+  const unsubscribes = {};
+  const results = [];
+
+  for (const { messageId, label } of items) {
+    const outcome = await unsubscribeMessage(jmap, accountId, messageId, label);
+    results.push(outcome);
+    console.log(`Unsubscribe ${user} ${outcome.fromEmail || messageId}: ${outcome.status}${outcome.error ? ` - ${outcome.error}` : ''}`);
+
+    if (outcome.fromEmail) {
+      const { fromEmail, ...record } = outcome;
+      unsubscribes[fromEmail] = record;
+    }
+  }
+
+  await saveUnsubscribes(user, unsubscribes);
+  return results;
+}